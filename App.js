@@ -1,25 +1,49 @@
 import { StatusBar } from 'react-native';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, DarkTheme, DefaultTheme } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 
 import PracticeScreen from './src/screens/PracticeScreen';
 import ResultsScreen from './src/screens/ResultsScreen.jsx';
+import HistoryScreen from './src/screens/HistoryScreen.jsx';
+import SetsScreen from './src/screens/SetsScreen.jsx';
+import SettingsScreen from './src/screens/SettingsScreen.jsx';
+import ChallengeScreen from './src/screens/ChallengeScreen.jsx';
+import { ThemeProvider, useTheme } from './src/components/ThemeProvider';
 
 const Stack = createNativeStackNavigator();
 
 export default function App() {
   return (
-    <NavigationContainer>
-      <StatusBar barStyle="light-content" />
+    <ThemeProvider>
+      <Navigator />
+    </ThemeProvider>
+  );
+}
+
+function Navigator() {
+  const { dark, colors } = useTheme();
+  const base = dark ? DarkTheme : DefaultTheme;
+  const navTheme = {
+    ...base,
+    colors: { ...base.colors, primary: colors.accent, background: colors.bg, card: colors.bg, text: colors.text, border: colors.border },
+  };
+
+  return (
+    <NavigationContainer theme={navTheme}>
+      <StatusBar barStyle={dark ? 'light-content' : 'dark-content'} />
       <Stack.Navigator
         screenOptions={{
-          headerStyle: { backgroundColor: '#0f1115' },
-          headerTintColor: '#c9d1d9',
-          contentStyle: { backgroundColor: '#0f1115' },
+          headerStyle: { backgroundColor: colors.bg },
+          headerTintColor: colors.text,
+          contentStyle: { backgroundColor: colors.bg },
         }}
       >
         <Stack.Screen name="Practice" component={PracticeScreen} options={{ title: 'Practice' }} />
         <Stack.Screen name="Results" component={ResultsScreen} options={{ title: 'Results' }} />
+        <Stack.Screen name="History" component={HistoryScreen} options={{ title: 'History' }} />
+        <Stack.Screen name="Sets" component={SetsScreen} options={{ title: 'Word sets' }} />
+        <Stack.Screen name="Settings" component={SettingsScreen} options={{ title: 'Settings' }} />
+        <Stack.Screen name="Challenge" component={ChallengeScreen} options={{ title: 'Challenges' }} />
       </Stack.Navigator>
     </NavigationContainer>
   );
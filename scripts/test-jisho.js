@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Run fetchJishoWords against a local mock of the Jisho API and check how it
+ * copes with a bad network: rate limiting (429), server errors (500), a hung
+ * request (timeout) and no server at all (offline).
+ *
+ *   npm run test-jisho
+ *
+ * src/ is compiled to CommonJS on the fly like validate-sets. AsyncStorage is
+ * native, so the cache runs on an in-memory store here. The timeout case waits
+ * out the real 8 s request timeout, so the whole run takes ~15 s.
+ */
+const http = require('http');
+const path = require('path');
+const assert = require('assert');
+const Module = require('module');
+const babel = require('@babel/core');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+
+const compileJs = require.extensions['.js'];
+require.extensions['.js'] = (module, filename) => {
+    if (!filename.startsWith(SRC)) return compileJs(module, filename);
+    const { code } = babel.transformFileSync(filename, {
+        babelrc: false,
+        configFile: false,
+        plugins: ['@babel/plugin-transform-modules-commonjs'],
+    });
+    return module._compile(code, filename);
+};
+
+// in-memory AsyncStorage
+const store = new Map();
+const memoryStorage = {
+    getItem: async (key) => (store.has(key) ? store.get(key) : null),
+    setItem: async (key, value) => { store.set(key, String(value)); },
+    removeItem: async (key) => { store.delete(key); },
+};
+const load = Module._load;
+Module._load = function (request, ...rest) {
+    if (request === '@react-native-async-storage/async-storage') return { __esModule: true, default: memoryStorage };
+    return load.call(this, request, ...rest);
+};
+
+const { fetchJishoWords } = require(path.join(SRC, 'data', 'jisho.js'));
+
+// a page of N5 common words, the same on every request
+const PAGE = {
+    data: [
+        ['食べる', 'たべる', 'to eat'],
+        ['飲む', 'のむ', 'to drink'],
+        ['山', 'やま', 'mountain'],
+        ['川', 'かわ', 'river'],
+        ['学校', 'がっこう', 'school'],
+    ].map(([word, reading, def]) => ({
+        japanese: [{ word, reading }],
+        jlpt: ['jlpt-n5'],
+        is_common: true,
+        senses: [{ english_definitions: [def], parts_of_speech: [] }],
+    })),
+};
+const COUNT = PAGE.data.length;
+
+// mock server: `handler(req, res, n)` answers the n-th request (from 1) of the current case
+let handler = null;
+let hits = 0;
+const server = http.createServer((req, res) => {
+    hits++;
+    handler(req, res, hits);
+});
+const ok = (res) => {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(PAGE));
+};
+const status = (res, code) => {
+    res.writeHead(code);
+    res.end();
+};
+
+const cases = [
+    ['ok', (req, res) => ok(res), (r) => {
+        assert.strictEqual(r.words.length, COUNT);
+        assert.strictEqual(r.cached, 0);
+        assert.deepStrictEqual(r.errors, []);
+        assert.ok(r.words.every((w) => w.meaning), 'every word has a meaning');
+    }],
+    // the first round is rate limited; the retries get through
+    ['429 then ok', (req, res, n) => (n <= 3 ? status(res, 429) : ok(res)), (r) => {
+        assert.strictEqual(r.words.length, COUNT);
+        assert.strictEqual(r.cached, 0);
+        assert.deepStrictEqual(r.errors, []);
+        assert.ok(hits > 3, 'retried after 429');
+    }],
+    // every retry fails: the words come from the cache the first case filled
+    ['500', (req, res) => status(res, 500), (r) => {
+        assert.strictEqual(r.words.length, COUNT);
+        assert.strictEqual(r.cached, COUNT);
+        assert.ok(r.errors.length && r.errors.every((e) => e === 'HTTP 500'), `errors: ${r.errors}`);
+    }],
+    // the first round never answers; the retries after the timeout do
+    ['timeout then ok', (req, res, n) => { if (n > 3) ok(res); }, (r) => {
+        assert.strictEqual(r.words.length, COUNT);
+        assert.strictEqual(r.cached, 0);
+        assert.deepStrictEqual(r.errors, []);
+    }],
+];
+
+async function main() {
+    let failed = false;
+    const run = async (name, check, baseUrl) => {
+        const start = Date.now();
+        try {
+            check(await fetchJishoWords(COUNT, { levels: [5], commonOnly: true, baseUrl }));
+            console.log(`✓ ${name} (${Date.now() - start} ms)`);
+        } catch (e) {
+            failed = true;
+            console.log(`✗ ${name}: ${e.message}`);
+        }
+    };
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api/v1`;
+    for (const [name, handle, check] of cases) {
+        handler = handle;
+        hits = 0;
+        await run(name, check, baseUrl);
+        server.closeAllConnections(); // drop the requests the timeout case left hanging
+    }
+    await new Promise((resolve) => server.close(resolve));
+
+    // nothing listens on the port any more: every request is refused, the cache answers
+    await run('offline', (r) => {
+        assert.strictEqual(r.words.length, COUNT);
+        assert.strictEqual(r.cached, COUNT);
+        assert.ok(r.errors.length > 0);
+    }, baseUrl);
+
+    process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Validate every word set JSON in src/data against the romanization modules.
+ *
+ *   npm run validate-sets            # fails on errors
+ *   npm run validate-sets -- --strict  # fails on any problem, warnings included
+ *
+ * src/ is ES modules for Metro; compile it to CommonJS on the fly with the
+ * project's own Babel so this runs under plain Node.
+ */
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC = path.join(ROOT, 'src');
+const DATA = path.join(SRC, 'data');
+
+const compileJs = require.extensions['.js'];
+require.extensions['.js'] = (module, filename) => {
+    if (!filename.startsWith(SRC)) return compileJs(module, filename);
+    const { code } = babel.transformFileSync(filename, {
+        babelrc: false,
+        configFile: false,
+        plugins: ['@babel/plugin-transform-modules-commonjs'],
+    });
+    return module._compile(code, filename);
+};
+
+const { validateSet, formatProblem } = require(path.join(DATA, 'validate.js'));
+
+const strict = process.argv.includes('--strict');
+let failed = false;
+
+for (const file of fs.readdirSync(DATA).filter((f) => f.endsWith('.json')).sort()) {
+    const set = JSON.parse(fs.readFileSync(path.join(DATA, file), 'utf8'));
+    if (!Array.isArray(set.items)) continue; // not a word set (e.g. romanization.json)
+
+    const { problems } = validateSet(set, { strict });
+    const errors = problems.filter((p) => p.severity === 'error');
+    const bad = strict ? problems.length > 0 : errors.length > 0;
+    failed = failed || bad;
+
+    console.log(`${bad ? '✗' : '✓'} ${file}: ${set.items.length} items, ${errors.length} errors, ${problems.length - errors.length} warnings`);
+    for (const p of problems) console.log(`    ${p.severity === 'error' ? 'error' : 'warn '} ${formatProblem(p)}`);
+}
+
+process.exit(failed ? 1 : 0);
@@ -1,37 +1,103 @@
 import { View, Text } from 'react-native';
 
+import { rubyFor } from '../utils/ruby';
+import { useTheme } from './ThemeProvider';
+
 /**
  * props:
  *  - surface: '日本語'
  *  - reading: 'にほんご'
+ *  - ruby?: [{ base, ruby? }]  // explicit alignment; otherwise worked out from the reading
+ *  - furigana?: boolean  // show the reading above (default true)
  *  - fontSize?: number
  *  - active?: boolean   // highlight current word
+ *  - spacing?: number   // horizontal margin (sentence segments sit closer together)
+ *  - typed?: number     // reading chars typed so far; colors the word char by char (active word only)
+ *  - missAt?: number    // reading index where the last wrong key landed
+ *
+ * Furigana sits over each kanji group (食|た + べる), okurigana and kana get none.
+ * When the reading doesn't line up with the surface it goes over the whole word.
+ * With `typed`, kana are colored one by one and a kanji group by the part of its
+ * ruby that's done; the next expected kana is underlined as the cursor.
  */
-export default function FuriganaWord({ surface, reading, fontSize = 28, active = false }) {
+export default function FuriganaWord({
+    surface,
+    reading,
+    ruby,
+    furigana = true,
+    fontSize = 28,
+    active = false,
+    spacing = 8,
+    typed = null,
+    missAt = null,
+}) {
+    const { colors } = useTheme();
     const furiSize = Math.max(10, Math.round(fontSize * 0.5));
+    const baseColor = active ? colors.strong : colors.text;
+
+    // where each group's kana sit in the reading
+    let start = 0;
+    const groups = (reading ? rubyFor(surface, reading, ruby) : [{ base: surface }]).map((g) => {
+        const len = g.ruby ? g.ruby.length : reading ? g.base.length : 0;
+        const out = { ...g, start, len };
+        start += len;
+        return out;
+    });
+
+    const charState = (i) => {
+        if (i < typed) return 'correct';
+        if (i === missAt) return 'incorrect';
+        return i === typed ? 'current' : 'pending';
+    };
+    // a kanji group takes the state of its ruby as a whole
+    const groupState = ({ start: s, len }) => {
+        if (s + len <= typed) return 'correct';
+        if (missAt != null && missAt >= s && missAt < s + len) return 'incorrect';
+        return typed >= s && typed < s + len ? 'current' : 'pending';
+    };
+    const stateStyle = (state) => {
+        if (state === 'correct') return { color: colors.accent };
+        if (state === 'incorrect') return { color: colors.danger, textDecorationLine: 'underline' };
+        if (state === 'current') return { color: colors.strong, textDecorationLine: 'underline' };
+        return null;
+    };
+    // one span per kana, or the plain text when there's no progress to show
+    const spans = (text, from) => (typed == null
+        ? text
+        : [...text].map((ch, k) => <Text key={k} style={stateStyle(charState(from + k))}>{ch}</Text>));
+
     return (
-        <View style={{ alignItems: 'center', marginHorizontal: 8, opacity: active ? 1 : 0.5 }}>
-            {/* Furigana */}
-            <Text
-                style={{
-                    fontSize: furiSize,
-                    color: '#a7b1c2',
-                    lineHeight: furiSize + 4,
-                }}
-            >
-                {reading}
-            </Text>
-            {/* Main surface */}
-            <Text
-                style={{
-                    fontSize,
-                    color: active ? '#e6edf3' : '#c9d1d9',
-                    lineHeight: fontSize + 6,
-                    fontWeight: active ? '700' : '500',
-                }}
-            >
-                {surface}
-            </Text>
+        <View style={{ flexDirection: 'row', alignItems: 'flex-end', marginHorizontal: spacing, opacity: active ? 1 : 0.5 }}>
+            {groups.map((g, i) => (
+                <View key={i} style={{ alignItems: 'center' }}>
+                    {/* Furigana (an empty line over kana keeps the bases level) */}
+                    <Text
+                        numberOfLines={1}
+                        style={{
+                            fontSize: furiSize,
+                            color: colors.ruby,
+                            lineHeight: furiSize + 4,
+                            height: furiSize + 4,
+                        }}
+                    >
+                        {furigana && g.ruby ? spans(g.ruby, g.start) : ''}
+                    </Text>
+                    {/* Main surface */}
+                    <Text
+                        style={[
+                            {
+                                fontSize,
+                                color: baseColor,
+                                lineHeight: fontSize + 6,
+                                fontWeight: active ? '700' : '500',
+                            },
+                            typed != null && g.ruby && stateStyle(groupState(g)),
+                        ]}
+                    >
+                        {g.ruby || !g.len ? g.base : spans(g.base, g.start)}
+                    </Text>
+                </View>
+            ))}
         </View>
     );
 }
@@ -0,0 +1,120 @@
+import { useEffect, useRef, useState } from 'react';
+import { View, Text, Pressable } from 'react-native';
+
+import FuriganaWord from './FuriganaWord';
+import { useTheme } from './ThemeProvider';
+
+const SPEEDS = [1, 2, 4];
+const TICK_MS = 50;
+// a gap this long before a key shows up as a hesitation
+const HESITATION_MS = 1000;
+
+/**
+ * Plays a keystroke recording back on a small word conveyor.
+ * props:
+ *  - recording: { words, events }   // see src/storage/recordings.js
+ */
+export default function Replay({ recording }) {
+    const { colors } = useTheme();
+    const words = recording?.words ?? [];
+    const events = recording?.events ?? [];
+    const total = events.length ? events[events.length - 1].t : 0;
+
+    const [pos, setPos] = useState(0); // ms into the run
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(1);
+    const clock = useRef({ wall: 0, at: 0 });
+
+    // wall-clock based so a slow tick doesn't slow the replay down
+    useEffect(() => {
+        if (!playing) return undefined;
+        clock.current = { wall: Date.now(), at: pos };
+        const id = setInterval(() => {
+            const next = clock.current.at + (Date.now() - clock.current.wall) * speed;
+            if (next >= total) {
+                setPos(total);
+                setPlaying(false);
+            } else {
+                setPos(next);
+            }
+        }, TICK_MS);
+        return () => clearInterval(id);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [playing, speed, total]);
+
+    if (!events.length) return null;
+
+    // the last event at or before `pos`
+    let k = -1;
+    while (k + 1 < events.length && events[k + 1].t <= pos) k++;
+    const ev = events[k] ?? { w: 0, raw: '', kana: '', matched: 0 };
+    const gap = k >= 0 ? ev.t - (events[k - 1]?.t ?? 0) : 0;
+    const hesitated = k > 0 && gap >= HESITATION_MS;
+
+    const play = () => {
+        if (pos >= total) setPos(0);
+        setPlaying((p) => !p);
+    };
+
+    const Btn = ({ active, onPress, children }) => (
+        <Pressable
+            onPress={onPress}
+            style={{
+                paddingVertical: 6,
+                paddingHorizontal: 12,
+                borderRadius: 999,
+                borderWidth: 1,
+                borderColor: active ? colors.accent : colors.border,
+                marginHorizontal: 4,
+            }}
+        >
+            <Text style={{ color: colors.text, fontSize: 14 }}>{children}</Text>
+        </Pressable>
+    );
+
+    return (
+        <View style={{ alignItems: 'center' }}>
+            {/* conveyor: previous, current and next word */}
+            <View style={{ flexDirection: 'row', alignItems: 'flex-end', justifyContent: 'center', minHeight: 80 }}>
+                {[ev.w - 1, ev.w, ev.w + 1].map((i) => {
+                    const w = words[i];
+                    if (!w) return <View key={i} style={{ width: 40 }} />;
+                    const current = i === ev.w;
+                    return (
+                        <FuriganaWord
+                            key={i}
+                            surface={w.surface}
+                            reading={w.reading}
+                            ruby={w.ruby}
+                            fontSize={current ? 32 : 22}
+                            active={current}
+                            typed={current ? ev.matched : i < ev.w ? [...w.reading].length : null}
+                            missAt={current && ev.miss ? ev.matched : null}
+                        />
+                    );
+                })}
+            </View>
+
+            {/* what the buffer held */}
+            <Text style={{ color: colors.accent, fontSize: 18, marginTop: 8 }}>
+                {ev.kana}
+                <Text style={{ color: colors.subtext }}>{ev.pending ?? ''}</Text>
+            </Text>
+            {ev.raw !== ev.kana && (
+                <Text style={{ color: colors.subtext, fontSize: 14, marginTop: 2 }}>{ev.raw}</Text>
+            )}
+            <Text style={{ color: hesitated ? colors.warning : colors.subtext, fontSize: 12, marginTop: 6 }}>
+                {(pos / 1000).toFixed(1)}s / {(total / 1000).toFixed(1)}s
+                {hesitated ? ` · paused ${(gap / 1000).toFixed(1)}s` : ''}
+                {ev.miss ? ' · miss' : ''}
+            </Text>
+
+            <View style={{ flexDirection: 'row', marginTop: 10 }}>
+                <Btn onPress={play}>{playing ? 'pause' : pos >= total ? 'replay' : 'play'}</Btn>
+                {SPEEDS.map((s) => (
+                    <Btn key={s} active={speed === s} onPress={() => setSpeed(s)}>{s}x</Btn>
+                ))}
+            </View>
+        </View>
+    );
+}
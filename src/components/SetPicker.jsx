@@ -0,0 +1,139 @@
+import { useState } from 'react';
+import { Modal, View, Text, Pressable, FlatList, StyleSheet } from 'react-native';
+
+import { listSets, parseViewId, POS_FILTERS } from '../data';
+import { useThemedStyles } from './ThemeProvider';
+
+// "top N most frequent" choices
+const TOP_FILTERS = [100, 500];
+
+/**
+ * Modal list of word sets with part-of-speech / frequency filters.
+ * props:
+ *  - visible: boolean
+ *  - selectedId: current set (or view) id
+ *  - onSelect(id): a set or view was picked
+ *  - onClose()
+ */
+export default function SetPicker({ visible, selectedId, onSelect, onClose }) {
+    const styles = useThemedStyles(makeStyles);
+    // start from the filter of the current view
+    const [filter, setFilter] = useState(() => parseViewId(selectedId).filter);
+    const sets = listSets(filter);
+
+    const Pill = ({ active, onPress, children }) => (
+        <Pressable onPress={onPress} style={[styles.pill, active && styles.pillActive]}>
+            <Text style={styles.pillText}>{children}</Text>
+        </Pressable>
+    );
+
+    return (
+        <Modal visible={visible} transparent animationType="fade" onRequestClose={onClose}>
+            <Pressable style={styles.backdrop} onPress={onClose}>
+                <Pressable style={styles.sheet} onPress={() => {}}>
+                    <Text style={styles.heading}>word set</Text>
+
+                    {/* filters */}
+                    <View style={styles.row}>
+                        <Pill active={!filter.pos} onPress={() => setFilter({ ...filter, pos: undefined })}>all words</Pill>
+                        {Object.entries(POS_FILTERS).map(([pos, label]) => (
+                            <Pill key={pos} active={filter.pos === pos} onPress={() => setFilter({ ...filter, pos })}>{label}</Pill>
+                        ))}
+                    </View>
+                    <View style={styles.row}>
+                        <Pill active={!filter.top} onPress={() => setFilter({ ...filter, top: undefined })}>any frequency</Pill>
+                        {TOP_FILTERS.map((n) => (
+                            <Pill key={n} active={filter.top === n} onPress={() => setFilter({ ...filter, top: n })}>top {n}</Pill>
+                        ))}
+                    </View>
+
+                    <FlatList
+                        data={sets}
+                        keyExtractor={(s) => s.id}
+                        style={styles.list}
+                        ListEmptyComponent={<Text style={styles.meta}>no words match this filter</Text>}
+                        renderItem={({ item }) => (
+                            <Pressable
+                                onPress={() => onSelect(item.id)}
+                                style={[styles.card, item.id === selectedId && styles.cardActive]}
+                            >
+                                <Text style={styles.title}>{item.label}</Text>
+                                <Text style={styles.meta}>
+                                    {item.size} {item.kind}{item.custom ? ' · imported' : ''}
+                                    {item.description ? ` · ${item.description}` : ''}
+                                </Text>
+                            </Pressable>
+                        )}
+                    />
+                </Pressable>
+            </Pressable>
+        </Modal>
+    );
+}
+
+const makeStyles = (colors) => StyleSheet.create({
+    backdrop: {
+        flex: 1,
+        backgroundColor: colors.backdrop,
+        justifyContent: 'center',
+        padding: 16,
+    },
+    sheet: {
+        backgroundColor: colors.bg,
+        borderRadius: 14,
+        borderWidth: 1,
+        borderColor: colors.border,
+        padding: 14,
+        maxHeight: '85%',
+    },
+    heading: {
+        color: colors.subtext,
+        fontSize: 16,
+        fontWeight: '600',
+    },
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        marginTop: 8,
+    },
+    list: {
+        marginTop: 8,
+    },
+    card: {
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        borderWidth: 1,
+        borderColor: 'transparent',
+        padding: 12,
+        marginBottom: 8,
+    },
+    cardActive: {
+        borderColor: colors.accent,
+    },
+    title: {
+        color: colors.text,
+        fontSize: 17,
+        fontWeight: '600',
+    },
+    meta: {
+        color: colors.subtext,
+        fontSize: 13,
+        marginTop: 4,
+    },
+    pill: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+        marginBottom: 4,
+    },
+    pillActive: {
+        borderColor: colors.accent,
+    },
+    pillText: {
+        color: colors.text,
+        fontSize: 14,
+    },
+});
@@ -0,0 +1,117 @@
+import { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { useColorScheme } from 'react-native';
+
+import { loadSettings } from '../storage/settings';
+
+/**
+ * Shared colors for every screen and component.
+ *
+ *   const { colors } = useTheme();
+ *   const styles = useThemedStyles(makeStyles); // makeStyles = (colors) => StyleSheet.create({ … })
+ *
+ * The theme comes from settings: 'system' follows the OS light/dark mode,
+ * or one of THEMES by name. A custom `accent` replaces the theme's accent.
+ * The Settings screen calls setPrefs so changes show up right away.
+ */
+export const THEMES = {
+    dark: {
+        label: 'dark',
+        dark: true,
+        colors: {
+            bg: '#0f1115',
+            card: '#161b22',
+            inset: '#0d1117',
+            text: '#c9d1d9',
+            strong: '#e6edf3',
+            subtext: '#8b98a9',
+            ruby: '#a7b1c2',
+            accent: '#22c55e',
+            border: '#2a2f3a',
+            danger: '#f85149',
+            warning: '#d29922',
+            backdrop: 'rgba(0,0,0,0.6)',
+            shadow: '#000',
+        },
+    },
+    light: {
+        label: 'light',
+        dark: false,
+        colors: {
+            bg: '#ffffff',
+            card: '#f6f8fa',
+            inset: '#eef1f4',
+            text: '#24292f',
+            strong: '#0d1117',
+            subtext: '#57606a',
+            ruby: '#6e7781',
+            accent: '#1a7f37',
+            border: '#d0d7de',
+            danger: '#cf222e',
+            warning: '#9a6700',
+            backdrop: 'rgba(0,0,0,0.35)',
+            shadow: '#000',
+        },
+    },
+    contrast: {
+        label: 'high contrast',
+        dark: true,
+        colors: {
+            bg: '#000000',
+            card: '#0a0a0a',
+            inset: '#000000',
+            text: '#ffffff',
+            strong: '#ffffff',
+            subtext: '#d7d7d7',
+            ruby: '#ffffff',
+            accent: '#4dff88',
+            border: '#ffffff',
+            danger: '#ff6b6b',
+            warning: '#ffd33d',
+            backdrop: 'rgba(0,0,0,0.85)',
+            shadow: '#000',
+        },
+    },
+};
+
+// accent swatches offered next to a free hex field
+export const ACCENTS = ['#22c55e', '#3b82f6', '#a855f7', '#ec4899', '#f97316', '#eab308'];
+
+export const isHexColor = (s) => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(String(s ?? ''));
+
+/** { theme: 'system' | name, accent } + the OS scheme -> { name, dark, colors } */
+export function resolveTheme({ theme = 'system', accent = null } = {}, systemScheme = 'dark') {
+    const name = THEMES[theme] ? theme : systemScheme === 'light' ? 'light' : 'dark';
+    const { dark, colors } = THEMES[name];
+    return { name, dark, colors: isHexColor(accent) ? { ...colors, accent } : colors };
+}
+
+const ThemeContext = createContext({ ...resolveTheme(), prefs: { theme: 'system', accent: null }, setPrefs: () => {} });
+
+export function ThemeProvider({ children }) {
+    const systemScheme = useColorScheme();
+    const [prefs, setPrefsState] = useState({ theme: 'system', accent: null });
+
+    useEffect(() => {
+        loadSettings()
+            .then(({ theme, accent }) => setPrefsState({ theme, accent }))
+            .catch(() => {});
+    }, []);
+
+    const value = useMemo(() => ({
+        ...resolveTheme(prefs, systemScheme),
+        prefs,
+        setPrefs: (patch) => setPrefsState((p) => ({ ...p, ...patch })),
+    }), [prefs, systemScheme]);
+
+    return <ThemeContext.Provider value={value}>{children}</ThemeContext.Provider>;
+}
+
+export function useTheme() {
+    return useContext(ThemeContext);
+}
+
+/** StyleSheet built from the current colors, rebuilt only when the theme changes. */
+export function useThemedStyles(makeStyles) {
+    const { colors } = useTheme();
+    return useMemo(() => makeStyles(colors), [makeStyles, colors]);
+}
@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import { View, Text } from 'react-native';
+import Svg, { Polyline, Line, Circle, Text as SvgText } from 'react-native-svg';
+
+import { useTheme } from './ThemeProvider';
+
+/**
+ * props:
+ *  - series: [{ t, raw, net }]   // t in seconds, wpm sampled once per second
+ *  - errorTimes?: number[]       // ms since start, drawn as markers
+ *  - height?: number
+ */
+export default function WpmChart({ series = [], errorTimes = [], height = 160 }) {
+    const { colors } = useTheme();
+    const [width, setWidth] = useState(0);
+
+    const PAD = { left: 28, right: 8, top: 8, bottom: 18 };
+    const plotW = Math.max(1, width - PAD.left - PAD.right);
+    const plotH = Math.max(1, height - PAD.top - PAD.bottom);
+
+    const maxT = Math.max(1, ...series.map((p) => p.t));
+    const maxY = niceMax(Math.max(10, ...series.map((p) => Math.max(p.raw, p.net))));
+
+    const x = (t) => PAD.left + (t / maxT) * plotW;
+    const y = (v) => PAD.top + plotH - (v / maxY) * plotH;
+    const points = (key) => [{ t: 0, [key]: 0 }, ...series].map((p) => `${x(p.t)},${y(p[key])}`).join(' ');
+
+    // net wpm at an error's moment, so the marker sits on the line
+    const netAt = (sec) => series.find((p) => p.t >= sec)?.net ?? series[series.length - 1]?.net ?? 0;
+
+    return (
+        <View onLayout={(e) => setWidth(e.nativeEvent.layout.width)}>
+            {width > 0 && series.length > 0 && (
+                <Svg width={width} height={height}>
+                    {/* grid + y labels */}
+                    {[0, 0.5, 1].map((f) => (
+                        <Line
+                            key={`g${f}`}
+                            x1={PAD.left}
+                            x2={width - PAD.right}
+                            y1={y(maxY * f)}
+                            y2={y(maxY * f)}
+                            stroke={colors.border}
+                            strokeWidth={1}
+                        />
+                    ))}
+                    {[0, 0.5, 1].map((f) => (
+                        <SvgText key={`l${f}`} x={PAD.left - 4} y={y(maxY * f) + 4} fill={colors.subtext} fontSize={10} textAnchor="end">
+                            {Math.round(maxY * f)}
+                        </SvgText>
+                    ))}
+                    <SvgText x={width - PAD.right} y={height - 4} fill={colors.subtext} fontSize={10} textAnchor="end">
+                        {`${Math.round(maxT)}s`}
+                    </SvgText>
+
+                    {/* raw (dim) under net (accent) */}
+                    <Polyline points={points('raw')} fill="none" stroke={colors.subtext} strokeWidth={1.5} strokeDasharray="4,3" />
+                    <Polyline points={points('net')} fill="none" stroke={colors.accent} strokeWidth={2} />
+
+                    {/* error markers */}
+                    {errorTimes.map((ms, i) => (
+                        <Circle key={`e${i}`} cx={x(ms / 1000)} cy={y(netAt(ms / 1000))} r={3} fill={colors.danger} />
+                    ))}
+                </Svg>
+            )}
+
+            {/* legend */}
+            <View style={{ flexDirection: 'row', justifyContent: 'center', marginTop: 6 }}>
+                <Text style={{ color: colors.accent, fontSize: 12, marginHorizontal: 6 }}>— net</Text>
+                <Text style={{ color: colors.subtext, fontSize: 12, marginHorizontal: 6 }}>- - raw</Text>
+                <Text style={{ color: colors.danger, fontSize: 12, marginHorizontal: 6 }}>● error</Text>
+            </View>
+        </View>
+    );
+}
+
+// round an axis maximum up to 1 / 2 / 5 × 10^n
+function niceMax(v) {
+    const mag = 10 ** Math.floor(Math.log10(v));
+    const step = [1, 2, 5, 10].find((m) => m * mag >= v) ?? 10;
+    return step * mag;
+}
@@ -0,0 +1,254 @@
+/**
+ * Parsers for user word lists. Each returns { label, description, items, skipped }
+ * where items are { surface, reading, romaji, meaning? } like the bundled JSON sets
+ * (JSON items keep an explicit `ruby`, sentence items their `segments`, as well).
+ *
+ * Formats:
+ *  - 'json':  the bundled shape `{ id, label, items: [...] }`, or a bare items array
+ *  - 'csv' / 'tsv': one word per row; `columns` maps fields to column indexes,
+ *                   a header row naming surface/reading/romaji/meaning is mapped automatically
+ *  - 'anki':  Anki "Notes in Plain Text" export (tab separated, `#key:value` headers,
+ *             HTML and [sound:…] stripped, 漢字[かんじ] furigana understood)
+ */
+import { joinSegments } from './index';
+
+export const FORMATS = ['json', 'csv', 'tsv', 'anki'];
+
+const DEFAULT_COLUMNS = { surface: 0, reading: 1, romaji: 2 };
+
+const HEADER_NAMES = {
+    surface: ['surface', 'word', 'kanji', 'expression', 'front', '単語', '漢字'],
+    reading: ['reading', 'kana', 'furigana', 'yomi', '読み', 'かな'],
+    romaji: ['romaji', 'romanization', 'ローマ字'],
+    meaning: ['meaning', 'english', 'gloss', 'definition', 'back', '意味'],
+};
+
+const KANA_ONLY = /^[ぁ-ゖァ-ヺー・]+$/;
+const HAS_KANJI = /[㐀-鿿々]/;
+const JAPANESE = /[ぁ-ゖァ-ヺー㐀-鿿々]/;
+
+/** Guess the format from a file name and/or the text itself. */
+export function detectFormat(text, filename = '') {
+    const ext = filename.toLowerCase().split('.').pop();
+    const t = (text || '').trimStart();
+    if (ext === 'json' || t.startsWith('{') || t.startsWith('[')) return 'json';
+    if (/^#(separator|html|notetype|deck|columns):/m.test(t)) return 'anki';
+    if (ext === 'tsv' || (ext !== 'csv' && t.split('\n')[0].includes('\t'))) return 'tsv';
+    return 'csv';
+}
+
+/**
+ * Parse text in any supported format.
+ * opts: { format?, filename?, label?, columns?, hasHeader? }
+ */
+export function parseSetText(text, opts = {}) {
+    const format = opts.format || detectFormat(text, opts.filename);
+    const fallbackLabel = opts.label || stripExtension(opts.filename) || 'Imported set';
+    switch (format) {
+        case 'json':
+            return parseJsonSet(text, fallbackLabel);
+        case 'anki':
+            return parseAnkiExport(text, { ...opts, label: fallbackLabel });
+        case 'tsv':
+            return parseDelimited(text, { ...opts, delimiter: '\t', label: fallbackLabel });
+        case 'csv':
+            return parseDelimited(text, { ...opts, delimiter: ',', label: fallbackLabel });
+        default:
+            throw new Error(`Unknown format: ${format}`);
+    }
+}
+
+export function parseJsonSet(text, fallbackLabel = 'Imported set') {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid JSON: ${e.message}`);
+    }
+    const rawItems = Array.isArray(data) ? data : data?.items;
+    if (!Array.isArray(rawItems)) throw new Error('JSON has no "items" array');
+
+    return collect(rawItems, {
+        label: (!Array.isArray(data) && (data.label || data.id)) || fallbackLabel,
+        description: (!Array.isArray(data) && data.description) || '',
+    });
+}
+
+/** CSV / TSV rows. `columns` is { surface, reading, romaji?, meaning? } -> column index. */
+export function parseDelimited(text, { delimiter = ',', columns, hasHeader, label = 'Imported set' } = {}) {
+    const rows = splitRows(text, delimiter).filter((r) => r.some((c) => c.trim()));
+    if (!rows.length) return { label, description: '', items: [], skipped: 0 };
+
+    const headerMap = headerColumns(rows[0]);
+    const header = hasHeader ?? Boolean(headerMap);
+    const map = columns || headerMap || DEFAULT_COLUMNS;
+
+    const body = header ? rows.slice(1) : rows;
+    return collect(
+        body.map((r) => ({
+            surface: r[map.surface],
+            reading: r[map.reading],
+            romaji: map.romaji != null ? r[map.romaji] : '',
+            meaning: map.meaning != null ? r[map.meaning] : '',
+        })),
+        { label }
+    );
+}
+
+/** Preview rows for a column-mapping UI: first `n` rows, split. */
+export function previewRows(text, delimiter = ',', n = 3) {
+    return splitRows(text, delimiter).slice(0, n);
+}
+
+export function parseAnkiExport(text, { columns, label = 'Imported set' } = {}) {
+    const meta = {};
+    const lines = [];
+    for (const line of (text || '').split(/\r?\n/)) {
+        const m = line.match(/^#([a-z ]+):(.*)$/i);
+        if (m) meta[m[1].trim().toLowerCase()] = m[2].trim();
+        else if (line.trim()) lines.push(line);
+    }
+
+    const sep = { tab: '\t', comma: ',', semicolon: ';', space: ' ', pipe: '|', colon: ':' }[meta.separator?.toLowerCase()] ?? '\t';
+    const rows = splitRows(lines.join('\n'), sep).map((r) => r.map(cleanAnkiField));
+    const colNames = meta.columns ? meta.columns.split(sep) : null;
+    const map = columns || (colNames && headerColumns(colNames));
+
+    const items = rows.map((fields) => (map ? {
+        surface: fields[map.surface],
+        reading: fields[map.reading],
+        romaji: map.romaji != null ? fields[map.romaji] : '',
+        meaning: map.meaning != null ? fields[map.meaning] : '',
+    } : guessAnkiFields(fields)));
+
+    return collect(items, { label: meta.deck || label });
+}
+
+// --- helpers ---
+
+function collect(rawItems, { label, description = '' }) {
+    const items = [];
+    let skipped = 0;
+    for (const raw of rawItems) {
+        const it = raw?.segments ? { ...raw, ...joinSegments(raw.segments) } : raw;
+        const surface = String(it?.surface ?? '').trim();
+        const reading = String(it?.reading ?? '').trim();
+        if (!reading && !surface) {
+            skipped++;
+            continue;
+        }
+        // kana-only words can omit the reading
+        const item = { surface: surface || reading, reading: reading || (KANA_ONLY.test(surface) ? surface : '') };
+        if (it?.romaji) item.romaji = String(it.romaji).trim();
+        if (it?.meaning) item.meaning = String(it.meaning).trim();
+        if (Array.isArray(it?.ruby)) item.ruby = it.ruby;
+        if (it?.segments) item.segments = it.segments;
+        if (!item.reading) {
+            skipped++;
+            continue;
+        }
+        items.push(item);
+    }
+    return { label: String(label), description: String(description), items, skipped };
+}
+
+function headerColumns(row) {
+    const map = {};
+    row.forEach((cell, i) => {
+        const name = String(cell).trim().toLowerCase();
+        for (const [field, names] of Object.entries(HEADER_NAMES)) {
+            if (names.includes(name) && map[field] == null) map[field] = i;
+        }
+    });
+    return map.surface != null || map.reading != null
+        ? { surface: map.surface ?? map.reading, reading: map.reading ?? map.surface, romaji: map.romaji, meaning: map.meaning }
+        : null;
+}
+
+// RFC 4180-ish: quoted fields may contain the delimiter, newlines and "" escapes
+function splitRows(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const s = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < s.length; i++) {
+        const ch = s[i];
+        if (quoted) {
+            if (ch === '"' && s[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"' && cell === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && s[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += ch;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.map((r) => r.map((c) => c.trim()));
+}
+
+function cleanAnkiField(field) {
+    return String(field ?? '')
+        .replace(/\[sound:[^\]]*\]/g, '')
+        .replace(/<br\s*\/?>/gi, ' ')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .trim();
+}
+
+// Anki fields in 漢字[かんじ] form: surface without brackets, reading with them applied
+function splitFurigana(field) {
+    if (!/\[[^\]]+\]/.test(field)) return null;
+    const parts = field.split(/(\S*?\[[^\]]+\])/).filter(Boolean);
+    let surface = '';
+    let reading = '';
+    for (const part of parts) {
+        const m = part.match(/^\s*(\S*?)\[([^\]]+)\]$/);
+        if (m) {
+            surface += m[1];
+            reading += m[2];
+        } else {
+            surface += part.trim();
+            reading += part.trim();
+        }
+    }
+    return { surface, reading };
+}
+
+// no column mapping: the first kanji/furigana field is the word, the first kana-only field its reading,
+// the first field in Latin letters only its meaning (the back of a vocab card is usually the English)
+function guessAnkiFields(fields) {
+    const meaning = fields.find((f) => /[a-z]/i.test(f) && !JAPANESE.test(f)) ?? '';
+    return { ...guessWord(fields), meaning };
+}
+
+function guessWord(fields) {
+    for (const f of fields) {
+        const furi = splitFurigana(f);
+        if (furi && KANA_ONLY.test(furi.reading)) return furi;
+    }
+    const surface = fields.find((f) => HAS_KANJI.test(f)) ?? fields.find((f) => KANA_ONLY.test(f)) ?? '';
+    const reading = fields.find((f) => f !== surface && KANA_ONLY.test(f)) ?? (KANA_ONLY.test(surface) ? surface : '');
+    return { surface, reading };
+}
+
+function stripExtension(name) {
+    return name ? name.replace(/\.[^.]+$/, '') : '';
+}
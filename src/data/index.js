@@ -1,30 +1,178 @@
+/**
+ * Word set registry: bundled JLPT sets plus imported ones.
+ *
+ * Bundled items carry tags next to { surface, reading, romaji }:
+ *  - level: JLPT level, 5 (N5) … 1 (N1)
+ *  - pos:   'noun' | 'verb' | 'adj-i' | 'adj-na' | 'adj-pn' | 'adverb' | 'pronoun' | 'number' | 'expression'
+ *  - freq:  approximate frequency rank within the set (1 = most common)
+ * and optionally, in any set, `meaning`: a short English gloss ('to eat; to live on')
+ * for the meaning-recall modes.
+ *
+ * Any set can be viewed through a filter { pos, top }: `pos` matches exactly or
+ * by family ('adj' covers adj-i / adj-na / adj-pn), `top` keeps the N most
+ * frequent items. A view has its own id, e.g. 'N4?pos=verb' or 'N3?top=500',
+ * so it can be picked, saved in history and reopened like a plain set.
+ *
+ * Sentence sets (`kind: 'sentences'`) hold items made of segments instead:
+ *   { segments: [{ surface: '私', reading: 'わたし' }, { surface: 'は' }, { surface: '。' }] }
+ * A segment's reading is the kana as typed (particle は stays は, typed `ha`),
+ * kana-only segments may leave it out, and 、。 are segments of their own.
+ * getSet joins them into the usual surface/reading and keeps `segments` for display.
+ *
+ * Furigana is aligned to the kanji automatically (src/utils/ruby.js). Items and
+ * segments where that guesses wrong can spell it out with an optional `ruby`:
+ *   { surface: '食べる', reading: 'たべる', ruby: [{ base: '食', ruby: 'た' }, { base: 'べる' }] }
+ */
 export const SETS = {
-    mainSet: require('./N5Set.json'),
+    N5: require('./N5Set.json'),
+    N4: require('./N4Set.json'),
+    N3: require('./N3Set.json'),
+    N2: require('./N2Set.json'),
+    N1: require('./N1Set.json'),
+    'N5-sentences': require('./N5Sentences.json'),
 };
 
-export const DEFAULT_SET_ID = 'mainSet';
+export const DEFAULT_SET_ID = 'N5';
 
-export function listSets() {
-    return Object.values(SETS).map(s => ({
+// parts of speech offered as filters (labels for pickers)
+export const POS_FILTERS = {
+    noun: 'nouns',
+    verb: 'verbs',
+    adj: 'adjectives',
+    adverb: 'adverbs',
+};
+
+// imported sets (src/storage/customSets.js keeps this in sync with storage)
+let CUSTOM_SETS = {};
+
+export function setCustomSets(sets) {
+    CUSTOM_SETS = { ...(sets || {}) };
+}
+
+/** [{ surface, reading?, ruby? }] -> { surface, reading, segments } with every reading filled in. */
+export function joinSegments(segments) {
+    const segs = (Array.isArray(segments) ? segments : []).map((seg) => ({
+        surface: String(seg?.surface ?? ''),
+        reading: String(seg?.reading || seg?.surface || ''),
+        ...(Array.isArray(seg?.ruby) && { ruby: seg.ruby }),
+    }));
+    return {
+        surface: segs.map((seg) => seg.surface).join(''),
+        reading: segs.map((seg) => seg.reading).join(''),
+        segments: segs,
+    };
+}
+
+// 'sentences' when the set says so or its items are segmented
+const kindOf = (s) => s.kind || (Array.isArray(s.items) && s.items.some((it) => it?.segments) ? 'sentences' : 'words');
+
+// bundled sets are keyed by their `id`; 'mainSet' is the old key of the N5 set
+function findSet(id) {
+    if (id === 'mainSet') return SETS.N5;
+    return SETS[id] || Object.values(SETS).find((s) => s.id === id) || CUSTOM_SETS[id];
+}
+
+/** 'N4', { pos: 'verb' } -> 'N4?pos=verb'; no filter -> the plain id. */
+export function viewId(id, filter = {}) {
+    const params = ['pos', 'top'].filter((k) => filter[k]).map((k) => `${k}=${filter[k]}`);
+    return params.length ? `${id}?${params.join('&')}` : id;
+}
+
+/** 'N4?pos=verb&top=100' -> { id: 'N4', filter: { pos: 'verb', top: 100 } } */
+export function parseViewId(id) {
+    const [base, query = ''] = String(id ?? '').split('?');
+    const filter = {};
+    for (const part of query.split('&').filter(Boolean)) {
+        const [k, v] = part.split('=');
+        if (k === 'pos' && v) filter.pos = v;
+        if (k === 'top' && Number(v) > 0) filter.top = Number(v);
+    }
+    return { id: base, filter };
+}
+
+function applyFilter(items, { pos, top } = {}) {
+    let out = items;
+    if (pos) out = out.filter((it) => it.pos === pos || String(it.pos ?? '').startsWith(`${pos}-`));
+    if (top) {
+        // items without a rank sort last, in set order
+        out = out
+            .map((it, i) => [it, Number.isFinite(it.freq) ? it.freq : Infinity, i])
+            .sort((a, b) => a[1] - b[1] || a[2] - b[2])
+            .slice(0, top)
+            .map(([it]) => it);
+    }
+    return out;
+}
+
+function describeFilter({ pos, top } = {}) {
+    return [pos && (POS_FILTERS[pos] ?? pos), top && `top ${top}`].filter(Boolean).join(', ');
+}
+
+/**
+ * Every set as { id, label, description, size, level, kind, custom }.
+ * With a filter, each set is listed as that view (ids like 'N4?pos=verb',
+ * size counts the matching items) and empty views are left out.
+ */
+export function listSets(filter = {}) {
+    const entries = [
+        ...Object.values(SETS).map((s) => [s, false]),
+        ...Object.values(CUSTOM_SETS).map((s) => [s, true]),
+    ];
+    const suffix = describeFilter(filter);
+    return entries
+        .map(([s, custom]) => ({
+            ...describe(s),
+            id: viewId(s.id, filter),
+            label: suffix ? `${s.label ?? s.id} · ${suffix}` : s.label ?? s.id,
+            size: applyFilter(Array.isArray(s.items) ? s.items : [], filter).length,
+            custom,
+        }))
+        .filter((s) => !suffix || s.size > 0);
+}
+
+function describe(s) {
+    return {
         id: s.id,
         label: s.label ?? s.id,
         description: s.description ?? '',
         size: Array.isArray(s.items) ? s.items.length : 0,
-    }));
+        level: s.level ?? null,
+        kind: kindOf(s),
+    };
 }
 
-export function getSet(id) {
-    const set = SETS[id] || SETS[DEFAULT_SET_ID];
+/**
+ * A set (or a view of one) ready to practice. `id` may be a view id;
+ * an explicit `filter` is applied on top of the one in the id.
+ */
+export function getSet(id, filter = {}) {
+    const parsed = parseViewId(id);
+    const wanted = { ...parsed.filter, ...filter };
+    const set = findSet(parsed.id) || SETS[DEFAULT_SET_ID];
+    const suffix = describeFilter(wanted);
     // Very light validation/normalization
-    const items = Array.isArray(set.items) ? set.items : [];
+    const items = applyFilter(Array.isArray(set.items) ? set.items : [], wanted);
     return {
-        id: set.id || id,
-        label: set.label || set.id || id,
+        id: viewId(set.id || parsed.id, wanted),
+        label: `${set.label || set.id || parsed.id}${suffix ? ` · ${suffix}` : ''}`,
         description: set.description || '',
+        kind: kindOf(set),
         items: items.map(it => ({
             surface: String(it.surface ?? ''),
             reading: String(it.reading ?? ''),
+            ...(Array.isArray(it.ruby) && { ruby: it.ruby }),
+            ...(it.segments && joinSegments(it.segments)),
             romaji: it.romaji ? String(it.romaji) : '',
+            ...(it.level != null && { level: it.level }),
+            ...(it.pos && { pos: it.pos }),
+            ...(it.freq != null && { freq: it.freq }),
+            ...(it.meaning && { meaning: String(it.meaning) }),
         })),
     };
 }
+
+/** A set as JSON in the bundled `{ id, label, description, items }` shape. */
+export function exportSet(id) {
+    const { label, description, items } = getSet(id);
+    return JSON.stringify({ id, label, description, items }, null, 2);
+}
@@ -0,0 +1,233 @@
+import { validateSet } from './validate';
+import { versionedBlob } from '../storage/blob';
+
+/**
+ * Remote words from the Jisho API (https://jisho.org/api/v1/search/words).
+ *
+ *   const { words, cached, errors } = await fetchJishoWords(25, { levels: [5], commonOnly: true });
+ *
+ * Searches use Jisho's own tags (`#jlpt-n5 #common`) on a random page, and every
+ * entry is filtered again by its `jlpt` tags and `is_common` flag. Words are
+ * deduped and checked with the set validator, so only typeable ones come back.
+ *
+ * Everything fetched is kept in a bounded AsyncStorage cache; when the network
+ * fails (or returns too few words) the rest comes from the cache, so the jisho
+ * source keeps working offline. Requests run a few at a time and retry with
+ * exponential backoff on network errors, 429 and 5xx.
+ *
+ * The base URL can be changed for a local mock server: EXPO_PUBLIC_JISHO_URL,
+ * setJishoBaseUrl(url), or the `baseUrl` option.
+ */
+export const DEFAULT_BASE_URL = 'https://jisho.org/api/v1';
+export const JLPT_LEVELS = [5, 4, 3, 2, 1];
+
+const CACHE_VERSION = 1;
+const MAX_CACHED = 2000;
+const cache = versionedBlob('jptyping:jishoCache', { version: CACHE_VERSION, field: 'words', empty: () => [] });
+
+// network limits
+const CONCURRENCY = 3;
+const MAX_REQUESTS = 12; // per call, so a sparse filter can't loop forever
+const MAX_RETRIES = 3;
+const BACKOFF_MS = 400;
+const TIMEOUT_MS = 8000;
+
+// rough page counts per search (Jisho returns 20 entries a page); pages past the end just come back empty
+const PAGES = { 5: 30, 4: 30, 3: 80, 2: 80, 1: 150, common: 400 };
+
+// unfiltered searches fall back to a random kana, like the original fetcher
+const BUCKETS = [...'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわ'];
+
+let baseUrl = process.env.EXPO_PUBLIC_JISHO_URL || DEFAULT_BASE_URL;
+
+/** Point requests somewhere else (e.g. a mock server); null restores the default. */
+export function setJishoBaseUrl(url) {
+    baseUrl = (url || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Jisho search JSON -> [{ surface, reading, meaning, jlpt, common }]
+ * `meaning` joins the English definitions of the first senses ('to eat; to live on'),
+ * `jlpt` is the easiest level tagged (5 for N5) or null.
+ */
+export function parseJishoResponse(json) {
+    return (json?.data ?? []).flatMap((entry) => {
+        const jp = entry?.japanese?.[0] ?? {};
+        const reading = jp.reading || '';
+        if (!reading) return [];
+        const levels = (entry.jlpt ?? [])
+            .map((tag) => Number(String(tag).match(/^jlpt-n(\d)$/)?.[1]))
+            .filter(Boolean);
+        return [{
+            surface: jp.word || reading,
+            reading,
+            meaning: glossOf(entry.senses),
+            jlpt: levels.length ? Math.max(...levels) : null,
+            common: Boolean(entry.is_common),
+        }];
+    });
+}
+
+/** Keep words matching `levels` (empty = any) and, with `commonOnly`, `is_common`. */
+export function filterJishoWords(words, { levels = [], commonOnly = false } = {}) {
+    return words.filter((w) => (!levels.length || levels.includes(w.jlpt)) && (!commonOnly || w.common));
+}
+
+/**
+ * Fetch up to `count` words. opts: { levels = [5], commonOnly = true, baseUrl }
+ * Returns { words, cached, errors }: `cached` is how many came from the offline
+ * cache, `errors` the failed requests' messages.
+ */
+export async function fetchJishoWords(count = 25, { levels = [5], commonOnly = true, baseUrl: url = baseUrl } = {}) {
+    const filter = { levels, commonOnly };
+    const seen = new Set();
+    const words = [];
+    const fresh = [];
+    const errors = [];
+
+    const take = (list) => {
+        for (const w of list) {
+            const key = wordKey(w);
+            if (words.length >= count || seen.has(key)) continue;
+            seen.add(key);
+            words.push(w);
+        }
+    };
+
+    // fetch in rounds until we have enough, the request budget is spent, or the network is down
+    let sent = 0;
+    while (words.length < count && sent < MAX_REQUESTS) {
+        const batch = Math.min(CONCURRENCY, MAX_REQUESTS - sent);
+        sent += batch;
+        const results = await Promise.all(
+            Array.from({ length: batch }, () => searchWords(url, filter).catch((e) => {
+                errors.push(e.message);
+                return null;
+            }))
+        );
+        if (results.every((r) => r === null)) break;
+        for (const list of results) {
+            if (!list) continue;
+            const usable = typeable(filterJishoWords(list, filter));
+            fresh.push(...usable);
+            take(shuffle(usable));
+        }
+    }
+
+    if (fresh.length) await remember(fresh);
+
+    // top up from earlier fetches
+    const before = words.length;
+    if (words.length < count) take(shuffle(filterJishoWords(await readCache(), filter)));
+
+    return {
+        words: words.map(({ surface, reading, meaning }) => ({ surface, reading, ...(meaning && { meaning }) })),
+        cached: words.length - before,
+        errors,
+    };
+}
+
+/** Cached words matching a filter (for showing what's available offline). */
+export async function cachedJishoWords(filter = {}) {
+    return filterJishoWords(await readCache(), filter);
+}
+
+export async function clearJishoCache() {
+    await cache.clear();
+}
+
+// --- network ---
+
+function searchUrl(url, { levels, commonOnly }) {
+    const level = levels.length ? levels[Math.floor(Math.random() * levels.length)] : null;
+    const tags = [level && `#jlpt-n${level}`, commonOnly && '#common'].filter(Boolean);
+    const keyword = tags.length ? tags.join(' ') : BUCKETS[Math.floor(Math.random() * BUCKETS.length)];
+    const pages = level ? PAGES[level] : commonOnly ? PAGES.common : 5;
+    const page = 1 + Math.floor(Math.random() * pages);
+    return `${url}/search/words?keyword=${encodeURIComponent(keyword)}&page=${page}`;
+}
+
+async function searchWords(url, filter) {
+    const json = await fetchJson(searchUrl(url, filter));
+    return parseJishoResponse(json);
+}
+
+async function fetchJson(url) {
+    for (let attempt = 0; ; attempt++) {
+        let res = null;
+        try {
+            res = await fetchWithTimeout(url);
+        } catch (e) {
+            // offline or timed out
+            if (attempt >= MAX_RETRIES) throw e;
+        }
+        if (res?.ok) return res.json();
+        if (res && ((res.status !== 429 && res.status < 500) || attempt >= MAX_RETRIES)) {
+            throw new Error(`HTTP ${res.status}`);
+        }
+        // 400, 800, 1600 ms, plus jitter so parallel requests don't retry in lockstep
+        await sleep(BACKOFF_MS * 2 ** attempt * (1 + Math.random() / 2));
+    }
+}
+
+async function fetchWithTimeout(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+    try {
+        return await fetch(url, { signal: controller.signal });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// --- cache ---
+
+function readCache() {
+    return cache.read().catch(() => []);
+}
+
+// newest first, deduped, bounded; a storage failure only costs offline words
+async function remember(words) {
+    try {
+        const seen = new Set();
+        const merged = [...words, ...(await cache.read())].filter((w) => {
+            const key = wordKey(w);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+        await cache.write(merged.slice(0, MAX_CACHED));
+    } catch {
+        // ignore
+    }
+}
+
+// --- helpers ---
+
+const wordKey = (w) => `${w.surface}|${w.reading}`;
+
+// a few definitions are plenty for a prompt: the first two senses, three glosses each
+function glossOf(senses) {
+    const defs = (senses ?? [])
+        .filter((s) => !(s?.parts_of_speech ?? []).includes('Wikipedia definition'))
+        .slice(0, 2)
+        .flatMap((s) => (s?.english_definitions ?? []).slice(0, 3));
+    return [...new Set(defs)].join('; ');
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// drop words the IME can't finish (Latin in readings, odd symbols …)
+function typeable(words) {
+    const ok = new Set(validateSet({ items: words }).items);
+    return words.filter((w) => ok.has(w));
+}
+
+function shuffle(list) {
+    const arr = [...list];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
@@ -0,0 +1,111 @@
+/**
+ * Word set validation. Every item is run through the romanization modules,
+ * so a word that passes can actually be finished in every input mode.
+ *
+ * Problems are reported per item index:
+ *   { index, field, code, severity: 'error' | 'warning', message }
+ *
+ * errors (the item can't be practiced): empty-surface, empty-reading, untypeable-reading
+ * warnings (the item works, the data is off): romaji-mismatch, ruby-mismatch, duplicate
+ *
+ * Non-strict: items with errors and repeated duplicates are dropped, the rest kept.
+ * Strict: any problem rejects the whole set (items: []).
+ *
+ * Sentence items ({ segments }) are checked on their joined surface/reading.
+ * An explicit `ruby` (on an item or a segment) must spell out its surface and
+ * reading; when it doesn't, the furigana falls back to automatic alignment.
+ */
+import { romajiToKana, toHiragana } from '../utils/romanize';
+import { imeCheck, imeFeedString } from '../utils/ime';
+import { romajiSpellings } from '../utils/spellings';
+import { isValidRuby } from '../utils/ruby';
+import { joinSegments } from './index';
+
+export function validateSet(set, { strict = false } = {}) {
+    const items = Array.isArray(set?.items) ? set.items : [];
+    const problems = [];
+    const keep = [];
+    const seen = new Map(); // surface|reading -> first index
+
+    items.forEach((it, index) => {
+        const flat = it?.segments ? { ...joinSegments(it.segments), romaji: it.romaji } : it;
+        const found = validateItem(flat, index);
+        for (const part of [it, ...(flat.segments ?? [])]) {
+            if (part?.ruby) found.push(...validateRuby(part, index));
+        }
+
+        const key = `${String(flat?.surface ?? '').trim()}|${toHiragana(String(flat?.reading ?? '').trim())}`;
+        if (seen.has(key)) {
+            found.push({
+                index,
+                field: 'surface',
+                code: 'duplicate',
+                severity: 'warning',
+                message: `duplicate of item ${seen.get(key)}`,
+            });
+        } else {
+            seen.set(key, index);
+        }
+
+        problems.push(...found);
+        if (!found.some((p) => p.severity === 'error' || p.code === 'duplicate')) keep.push(it);
+    });
+
+    if (!Array.isArray(set?.items)) {
+        problems.push({ index: -1, field: 'items', code: 'no-items', severity: 'error', message: 'set has no items array' });
+    }
+
+    const ok = strict ? problems.length === 0 : !problems.some((p) => p.index === -1);
+    return { ok, items: ok ? keep : [], problems };
+}
+
+function validateItem(it, index) {
+    const out = [];
+    const report = (field, code, severity, message) => out.push({ index, field, code, severity, message });
+
+    const surface = String(it?.surface ?? '').trim();
+    const reading = String(it?.reading ?? '').trim();
+    const romaji = it?.romaji ? String(it.romaji).trim() : '';
+
+    if (!surface) report('surface', 'empty-surface', 'error', 'surface is empty');
+    if (!reading) {
+        report('reading', 'empty-reading', 'error', 'reading is empty');
+        return out;
+    }
+
+    // every char must be typeable as romaji (this rules out kanji, Latin, stray spaces …)
+    const bad = [...reading].filter((ch) => !romajiSpellings(ch, { limit: 1 }).length);
+    if (bad.length || !romajiSpellings(reading, { limit: 1 }).length) {
+        report(
+            'reading',
+            'untypeable-reading',
+            'error',
+            bad.length ? `reading has untypeable characters: ${[...new Set(bad)].map((ch) => JSON.stringify(ch)).join(', ')}` : 'reading cannot be typed as romaji'
+        );
+        return out;
+    }
+
+    if (romaji && !imeCheck(imeFeedString(romaji, reading), reading).complete) {
+        report('romaji', 'romaji-mismatch', 'warning', `romaji "${romaji}" types ${romajiToKana(romaji, reading)}, not ${reading}`);
+    }
+    return out;
+}
+
+function validateRuby({ surface, reading, ruby }, index) {
+    const text = String(surface ?? '');
+    const kana = toHiragana(String(reading || text));
+    const spelled = isValidRuby(ruby, text)
+        && toHiragana(ruby.map((g) => g.ruby || g.base).join('')) === kana;
+    return spelled ? [] : [{
+        index,
+        field: 'ruby',
+        code: 'ruby-mismatch',
+        severity: 'warning',
+        message: `ruby doesn't spell ${text} (${kana}); furigana is aligned automatically`,
+    }];
+}
+
+/** One line per problem, for logs and the import screen. */
+export function formatProblem(p) {
+    return `${p.index >= 0 ? `#${p.index}` : 'set'} ${p.field}: ${p.message}`;
+}
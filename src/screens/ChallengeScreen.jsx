@@ -0,0 +1,172 @@
+import { useCallback, useState } from 'react';
+import { View, Text, TextInput, Pressable, ScrollView, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+
+import { getSet } from '../data';
+import { loadCustomSets } from '../storage/customSets';
+import { listRuns } from '../storage/history';
+import { dailyChallenge, decodeChallenge, encodeChallenge, lengthLabel } from '../utils/challenge';
+import { useTheme, useThemedStyles } from '../components/ThemeProvider';
+
+export default function ChallengeScreen({ navigation }) {
+    const { colors } = useTheme();
+    const styles = useThemedStyles(makeStyles);
+    const [daily, setDaily] = useState(() => dailyChallenge());
+    const [dailyBest, setDailyBest] = useState(null);
+    const [code, setCode] = useState('');
+    const [error, setError] = useState(null);
+
+    // the day may have rolled over since the screen was last shown
+    useFocusEffect(useCallback(() => {
+        const today = dailyChallenge();
+        setDaily(today);
+        loadCustomSets().catch(() => {});
+        listRuns()
+            .then((runs) => {
+                const played = runs.filter((r) => r.challenge === encodeChallenge(today));
+                setDailyBest(played.length ? Math.max(...played.map((r) => r.kpm)) : null);
+            })
+            .catch(() => {});
+    }, []));
+
+    const play = (ch, isDaily = false) => navigation.navigate('Practice', { challenge: encodeChallenge(ch), daily: isDaily });
+
+    const playCode = () => {
+        const ch = decodeChallenge(code);
+        if (!ch) {
+            setError('not a challenge code');
+            return;
+        }
+        // getSet falls back to the default set for ids it doesn't know
+        if (getSet(ch.setId).id !== ch.setId) {
+            setError(`set ${ch.setId} isn't on this device`);
+            return;
+        }
+        setError(null);
+        play(ch);
+    };
+
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* daily */}
+            <Text style={styles.heading}>daily challenge</Text>
+            <View style={styles.card}>
+                <Text style={styles.title}>{daily.date}</Text>
+                <Text style={styles.meta}>
+                    {getSet(daily.setId).label} · {lengthLabel(daily)} · same words for everyone today
+                </Text>
+                <Text style={styles.meta}>
+                    {dailyBest != null ? `your best today: ${dailyBest} kana/min` : 'not played yet'}
+                </Text>
+                <View style={styles.row}>
+                    <Pressable onPress={() => play(daily, true)} style={[styles.pill, styles.pillActive]}>
+                        <Text style={styles.pillText}>play</Text>
+                    </Pressable>
+                    <Text style={styles.code}>{encodeChallenge(daily)}</Text>
+                </View>
+            </View>
+
+            {/* code entry */}
+            <Text style={styles.heading}>enter a code</Text>
+            <View style={styles.card}>
+                <Text style={styles.meta}>
+                    a code (shown after each run) replays the same set, length and word order
+                </Text>
+                <View style={styles.row}>
+                    <TextInput
+                        value={code}
+                        onChangeText={(t) => { setCode(t); setError(null); }}
+                        onSubmitEditing={playCode}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        placeholder="N5.w25.1x2k9f"
+                        placeholderTextColor={colors.subtext}
+                        style={[styles.input, styles.flex]}
+                    />
+                    <Pressable onPress={playCode} style={[styles.pill, styles.play]}>
+                        <Text style={styles.pillText}>play</Text>
+                    </Pressable>
+                </View>
+                {error && <Text style={styles.error}>{error}</Text>}
+            </View>
+        </ScrollView>
+    );
+}
+
+const makeStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.bg,
+    },
+    content: {
+        padding: 16,
+    },
+    flex: {
+        flex: 1,
+    },
+    heading: {
+        color: colors.subtext,
+        fontSize: 16,
+        fontWeight: '600',
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    card: {
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+    },
+    title: {
+        color: colors.text,
+        fontSize: 20,
+        fontWeight: '600',
+    },
+    meta: {
+        color: colors.subtext,
+        fontSize: 13,
+        marginTop: 6,
+    },
+    code: {
+        color: colors.subtext,
+        fontSize: 13,
+    },
+    error: {
+        color: colors.danger,
+        fontSize: 13,
+        marginTop: 6,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        marginTop: 10,
+    },
+    input: {
+        color: colors.text,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 10,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        fontSize: 14,
+    },
+    pill: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+    },
+    pillActive: {
+        borderColor: colors.accent,
+    },
+    pillText: {
+        color: colors.text,
+        fontSize: 14,
+    },
+    play: {
+        marginLeft: 8,
+        marginRight: 0,
+    },
+});
@@ -0,0 +1,204 @@
+import { useCallback, useMemo, useState } from 'react';
+import { View, Text, Pressable, FlatList, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+
+import { listSets, getSet, parseViewId } from '../data';
+import { listRuns, deleteRun } from '../storage/history';
+import { loadRecording, deleteRecording } from '../storage/recordings';
+import { confirmAction } from '../utils/confirm';
+import { useThemedStyles } from '../components/ThemeProvider';
+
+const MODES = ['time', 'words'];
+
+const formatDate = (ts) => {
+    const d = new Date(ts);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+const describeLength = (run) =>
+    run.mode === 'time'
+        ? `${run.durationSec}s`
+        : `${run.targetWords === 'unlimited' ? '∞' : run.targetWords} words`;
+
+export default function HistoryScreen({ navigation }) {
+    const styles = useThemedStyles(makeStyles);
+    const [runs, setRuns] = useState([]);
+    const [setFilter, setSetFilter] = useState(null);
+    const [modeFilter, setModeFilter] = useState(null);
+    const [error, setError] = useState(null);
+
+    const reload = useCallback(() => {
+        let alive = true;
+        listRuns()
+            .then((r) => { if (alive) { setRuns(r); setError(null); } })
+            .catch((e) => { if (alive) setError(`couldn't read history: ${e.message}`); });
+        return () => { alive = false; };
+    }, []);
+
+    // refresh whenever the screen comes back into view
+    useFocusEffect(reload);
+
+    const setIds = useMemo(() => [...new Set(runs.map((r) => r.setId).filter(Boolean))], [runs]);
+    // views ('N4?pos=verb') get their label from getSet; deleted sets keep their id
+    const setLabels = useMemo(() => {
+        const known = new Set(listSets().map((s) => s.id));
+        return Object.fromEntries(
+            setIds.map((id) => [id, known.has(parseViewId(id).id) ? getSet(id).label : id])
+        );
+    }, [setIds]);
+
+    const shown = runs.filter(
+        (r) => (!setFilter || r.setId === setFilter) && (!modeFilter || r.mode === modeFilter)
+    );
+
+    // reopen a run's results, with its replay if the recording is still kept
+    const openRun = async (run) => {
+        const recording = await loadRecording(run.id).catch(() => null);
+        navigation.navigate('Results', { ...run, recording });
+    };
+
+    const confirmDelete = async (run) => {
+        if (!(await confirmAction('Delete run?', `${run.kpm} kana/min · ${formatDate(run.at)}`))) return;
+        try {
+            await deleteRun(run.id);
+            await deleteRecording(run.id).catch(() => {});
+            setRuns((rs) => rs.filter((r) => r.id !== run.id));
+        } catch (e) {
+            setError(`couldn't delete: ${e.message}`);
+        }
+    };
+
+    const Pill = ({ active, onPress, children }) => (
+        <Pressable onPress={onPress} style={[styles.pill, active && styles.pillActive]}>
+            <Text style={styles.pillText}>{children}</Text>
+        </Pressable>
+    );
+
+    return (
+        <View style={styles.container}>
+            {/* filters */}
+            <View style={styles.filterRow}>
+                <Pill active={!modeFilter} onPress={() => setModeFilter(null)}>all modes</Pill>
+                {MODES.map((m) => (
+                    <Pill key={m} active={modeFilter === m} onPress={() => setModeFilter(m)}>{m}</Pill>
+                ))}
+            </View>
+            {setIds.length > 1 && (
+                <View style={styles.filterRow}>
+                    <Pill active={!setFilter} onPress={() => setSetFilter(null)}>all sets</Pill>
+                    {setIds.map((id) => (
+                        <Pill key={id} active={setFilter === id} onPress={() => setSetFilter(id)}>
+                            {setLabels[id] ?? id}
+                        </Pill>
+                    ))}
+                </View>
+            )}
+
+            {error && <Text style={styles.error}>{error}</Text>}
+
+            <FlatList
+                data={shown}
+                keyExtractor={(r) => r.id}
+                contentContainerStyle={styles.list}
+                ListEmptyComponent={<Text style={styles.empty}>no runs yet</Text>}
+                renderItem={({ item: run }) => (
+                    <View style={styles.row}>
+                        <Pressable onPress={() => openRun(run)} style={styles.flex}>
+                            <Text style={styles.speed}>{run.kpm} kana/min</Text>
+                            <Text style={styles.meta}>
+                                {run.mode} {describeLength(run)} · {run.source} · {setLabels[run.setId] ?? run.setId ?? '—'}
+                            </Text>
+                            <Text style={styles.meta}>
+                                {formatDate(run.at)} · {run.timeSec}s · {run.completedWords ?? 0} words
+                            </Text>
+                            {run.words?.length > 0 && (
+                                <Text style={styles.meta} numberOfLines={1}>
+                                    {run.words.map((w) => w.surface).join('、')}
+                                </Text>
+                            )}
+                        </Pressable>
+                        <Pressable onPress={() => confirmDelete(run)} style={styles.delete}>
+                            <Text style={styles.deleteText}>delete</Text>
+                        </Pressable>
+                    </View>
+                )}
+            />
+        </View>
+    );
+}
+
+const makeStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.bg,
+    },
+    flex: {
+        flex: 1,
+    },
+    filterRow: {
+        paddingHorizontal: 16,
+        paddingTop: 12,
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+    },
+    pill: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+        marginBottom: 6,
+    },
+    pillActive: {
+        borderColor: colors.accent,
+    },
+    pillText: {
+        color: colors.text,
+        fontSize: 14,
+    },
+    list: {
+        padding: 16,
+    },
+    error: {
+        color: colors.danger,
+        fontSize: 13,
+        paddingHorizontal: 16,
+        paddingTop: 8,
+    },
+    empty: {
+        color: colors.subtext,
+        textAlign: 'center',
+        marginTop: 40,
+    },
+    row: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+    },
+    speed: {
+        color: colors.text,
+        fontSize: 20,
+        fontWeight: '600',
+    },
+    meta: {
+        color: colors.subtext,
+        fontSize: 13,
+        marginTop: 2,
+    },
+    delete: {
+        paddingVertical: 8,
+        paddingHorizontal: 12,
+        borderRadius: 10,
+        borderWidth: 1,
+        borderColor: colors.border,
+    },
+    deleteText: {
+        color: colors.danger,
+        fontSize: 14,
+    },
+});
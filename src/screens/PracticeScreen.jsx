@@ -1,4 +1,4 @@
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
     View,
     Text,
@@ -14,24 +14,45 @@ import {
     StyleSheet,
 } from 'react-native';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
 
 import FuriganaWord from '../components/FuriganaWord';
-import { getSet, listSets, DEFAULT_SET_ID } from '../data';
-import { romajiToHiragana } from '../utils/romanize';
+import SetPicker from '../components/SetPicker';
+import { useThemedStyles } from '../components/ThemeProvider';
+import { getSet, DEFAULT_SET_ID } from '../data';
+import { fetchJishoWords, JLPT_LEVELS } from '../data/jisho';
+import { matchScript, listSchemes, DEFAULT_SCHEME } from '../utils/romanize';
+import { imeInit, imeFeed, imeFeedString, imeCheck } from '../utils/ime';
+import { initStyle, learnStyle, romajiHint } from '../utils/spellings';
+import { checkDirect } from '../utils/directInput';
+import { saveRun } from '../storage/history';
+import { loadWordStats, recordWords } from '../storage/wordStats';
+import { beats, configKey, loadBests, paceAt, saveBest } from '../storage/bests';
+import { saveRecording, RECORDINGS_VERSION } from '../storage/recordings';
+import { loadCustomSets } from '../storage/customSets';
+import { loadCustomScheme } from '../storage/customScheme';
+import { loadSettings, saveSettings } from '../storage/settings';
+import { computeStats } from '../utils/stats';
+import { isDue, reviewQueue, wordKey } from '../utils/srs';
+import { randomSeed } from '../utils/random';
+import { createWordStream } from '../utils/wordStream';
+import { decodeChallenge, encodeChallenge } from '../utils/challenge';
 
 // layout
 const INTER_WORD_GAP = 32;
+const SEGMENT_GAP = 2; // between the segments of a sentence
 // input guard
 const INPUT_LIMIT_MULTIPLIER = 4;
-
-// design tokens
-const COLORS = {
-    bg: '#0f1115',
-    text: '#c9d1d9',
-    subtext: '#8b98a9',
-    accent: '#22c55e',
-    border: '#2a2f3a',
-};
+// retry drill: each drilled word comes up this many times, then the drill ends
+const DRILL_REPEATS = 5;
+// words are drawn as the run goes: this many up front, and kept queued past the current one
+const FIRST_BATCH = 20;
+const LOOKAHEAD = 10;
+// the conveyor renders this many words behind the current one; endless runs drop the rest
+const KEEP_BEHIND = 10;
+// jisho: fetch another batch once fewer fetched words than this are left unshown
+const JISHO_PREFETCH_AT = 10;
+const JISHO_BATCH = 25;
 
 const FONT_SIZES = {
     xs: 12,
@@ -42,35 +63,9 @@ const FONT_SIZES = {
     display: 40, // main word size
 };
 
-// tiny jisho fetcher (random-ish) – returns [{ surface, reading }]
-async function fetchRandomJishoWords(count = 25) {
-    const buckets = ['あ', 'い', 'う', 'え', 'お', 'か', 'き', 'く', 'け', 'こ', 'さ', 'し', 'す', 'せ', 'そ', 'た', 'ち', 'つ', 'て', 'と', 'な', 'に', 'ぬ', 'ね', 'の', 'は', 'ひ', 'ふ', 'へ', 'ほ', 'ま', 'み', 'む', 'め', 'も', 'や', 'ゆ', 'よ', 'ら', 'り', 'る', 'れ', 'ろ', 'わ', 'を', 'ん'];
-    const out = [];
-    let guard = 0;
-
-    while (out.length < count && guard++ < count * 5) {
-        const q = buckets[Math.floor(Math.random() * buckets.length)];
-        const page = 1 + Math.floor(Math.random() * 5);
-        const url = `https://jisho.org/api/v1/search/words?keyword=${encodeURIComponent(q)}&page=${page}`;
-        try {
-            const res = await fetch(url);
-            const json = await res.json();
-            const arr = json?.data ?? [];
-            if (!arr.length) continue;
-            const pick = arr[Math.floor(Math.random() * arr.length)];
-            const jp = pick?.japanese?.[0] ?? {};
-            const surface = jp.word || jp.reading || '';
-            const reading = jp.reading || '';
-            if (!reading) continue;
-            out.push({ surface, reading, romaji: undefined });
-        } catch {
-            // ignore and continue
-        }
-    }
-    return out;
-}
+export default function PracticeScreen({ navigation, route }) {
+    const styles = useThemedStyles(makeStyles);
 
-export default function PracticeScreen({ navigation }) {
     // safe area + keyboard offsets
     const insets = useSafeAreaInsets();
     const KAV_OFFSET = Platform.OS === 'ios' ? insets.top + 40 : (StatusBar.currentHeight || 0);
@@ -85,45 +80,166 @@ export default function PracticeScreen({ navigation }) {
     const [source, setSource] = useState('local'); // 'local' | 'jisho'
     const [remoteWords, setRemoteWords] = useState(null);
     const [loadingJisho, setLoadingJisho] = useState(false);
+    const [jishoCached, setJishoCached] = useState(0); // words that came from the offline cache
+    const [jishoLevel, setJishoLevel] = useState(5); // JLPT level, null = any
+    const [jishoCommon, setJishoCommon] = useState(true);
+
+    // review: the set's words in spaced-repetition order instead of shuffled
+    const [review, setReview] = useState(false);
+    const [cards, setCards] = useState({}); // per-word stats + schedule, by wordKey
+    // draw common words more often (endless runs recycle the pool)
+    const [weightByFreq, setWeightByFreq] = useState(false);
+
+    // input mode: 'romaji' (in-app IME) | 'kana' (phone Japanese keyboard) | 'surface' (commit the kanji form)
+    const [inputMode, setInputMode] = useState('romaji');
+    // romanization scheme for romaji input: 'permissive' | 'hepburn' | 'kunrei' | 'custom'
+    const [scheme, setScheme] = useState(DEFAULT_SCHEME);
 
     // ui toggles
     const [showRomaji, setShowRomaji] = useState(false);
     const [showFurigana, setShowFurigana] = useState(true);
+    const [fontSize, setFontSize] = useState(FONT_SIZES.display);
+    const [showGhost, setShowGhost] = useState(false);
+
+    // recall mode: null (plain typing) | 'meaning' (English shown, type the reading) | 'kanji' (no furigana, meaning revealed after)
+    const [recall, setRecall] = useState(null);
+    // the current word's answer was revealed on request
+    const [peek, setPeek] = useState(false);
 
 
     // dataset
     const [setId, setSetId] = useState(DEFAULT_SET_ID);
-    const lesson = useMemo(() => getSet(setId), [setId]);
-
-    // shuffle seed
-    const [seed, setSeed] = useState(0);
+    // imported sets load async; bump to re-read the registry when they arrive / change
+    const [setsVersion, setSetsVersion] = useState(0);
+    useFocusEffect(useCallback(() => {
+        Promise.all([loadCustomSets(), loadCustomScheme()])
+            .then(() => setSetsVersion((v) => v + 1))
+            .catch(() => {});
+        loadSettings().then((s) => applySettingsRef.current(s));
+        loadWordStats().then(setCards).catch(() => {});
+        loadBests().then(setBests).catch(() => {});
+    }, []));
+    const lesson = useMemo(() => getSet(setId), [setId, setsVersion]);
+
+    // shuffle seed: the word order is a seeded shuffle, so a run can be shared as a challenge code
+    const [seed, setSeed] = useState(randomSeed);
+    // the challenge the current words came from: { code, daily }
+    const [challenge, setChallenge] = useState(null);
+    // bumped by every reset, so the word stream starts over
+    const [round, setRound] = useState(0);
+
+    // retry drill from the Results screen: [{ surface, reading }]; the stream repeats them
+    const drill = route?.params?.drill;
+    const drillPool = Array.isArray(drill) && drill.length ? drill : null;
 
     // pool
-    const wordPool =
-        source === 'jisho' && Array.isArray(remoteWords) && remoteWords.length
-            ? remoteWords
-            : lesson.items;
-
-    // words (shuffled)
-    const words = useMemo(() => {
-        const arr = [...wordPool];
-        for (let i = arr.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [arr[i], arr[j]] = [arr[j], arr[i]];
-        }
-        return arr;
-    }, [wordPool, seed]);
+    const basePool =
+        drillPool
+            ? drillPool
+            : source === 'jisho' && Array.isArray(remoteWords) && remoteWords.length
+                ? remoteWords
+                : lesson.items;
+    // meaning prompts need a meaning; the mode is off for a pool without any (see the effect below)
+    const meaningPool = useMemo(() => basePool.filter((w) => w.meaning), [basePool]);
+    const hasMeanings = meaningPool.length > 0;
+    const wordPool = recall === 'meaning' && hasMeanings ? meaningPool : basePool;
+
+    // review only reorders the selected set (not drills or jisho words)
+    const reviewing = review && basePool === lesson.items;
+    const dueCount = useMemo(
+        () => lesson.items.filter((it) => isDue(cards[wordKey(it)])).length,
+        [lesson, cards]
+    );
+
+    // only plain typing on a local set is reproducible from set, length and seed alone
+    const seededCode = !drillPool && source === 'local' && !review && !recall
+        ? encodeChallenge({ setId: lesson.id, mode: testMode, length: testMode === 'time' ? durationSec : wordTarget, seed })
+        : null;
+    // any change to the set or length leaves the challenge
+    const inChallenge = Boolean(challenge) && challenge.code === seededCode;
+    // weighting changes the order, so challenges play without it (and drills, which should even out)
+    const weighted = weightByFreq && !inChallenge && !drillPool;
+    const challengeCode = weighted ? null : seededCode;
+
+    // words: a seeded stream over the pool (after the review queue when reviewing),
+    // drawn as the run goes; a word run stops at its length, a drill at DRILL_REPEATS rounds
+    const runLength = testMode === 'time'
+        ? Infinity
+        : Math.min(wordTarget, drillPool ? drillPool.length * DRILL_REPEATS : Infinity);
+    const endless = !Number.isFinite(runLength);
+    const reviewCards = reviewing ? cards : null;
+    const { stream, first } = useMemo(() => {
+        const queue = reviewCards ? reviewQueue(wordPool, reviewCards) : [];
+        const s = createWordStream(wordPool, { seed, weighted, after: queue.at(-1) });
+        const need = Math.min(FIRST_BATCH, runLength);
+        return { stream: s, first: [...queue, ...s.take(Math.max(0, need - queue.length))].slice(0, runLength) };
+    }, [wordPool, seed, weighted, reviewCards, runLength, round]);
+    // words drawn for `first` so far, from run word `dropped` on (an index into the run, like wIndex)
+    const [drawn, setDrawn] = useState({ from: null, words: [], dropped: 0 });
+    const words = drawn.from === first ? drawn.words : first;
+    const dropped = drawn.from === first ? drawn.dropped : 0;
+    const drawnCount = dropped + words.length;
+    const wordAt = (i) => words[i - dropped];
+
+    // a code entered on the Challenges screen: load its set, length and seed
+    const challengeParam = route?.params?.challenge;
+    useEffect(() => {
+        const ch = decodeChallenge(challengeParam);
+        if (!ch) return;
+        navigation?.setParams?.({ challenge: undefined, daily: undefined, drill: undefined });
+        hardReset(false);
+        setSetId(ch.setId);
+        setSource('local');
+        setReview(false);
+        setRecall(null);
+        setTestMode(ch.mode);
+        if (ch.mode === 'time') setDurationSec(ch.length);
+        else setWordTarget(ch.length ?? Infinity);
+        setSeed(ch.seed);
+        setChallenge({ code: encodeChallenge(ch), daily: Boolean(route.params.daily) });
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [challengeParam]);
+
+    // personal best for this exact configuration (drills and recall runs aren't comparable)
+    const [bests, setBests] = useState({});
+    const bestKey = configKey({
+        mode: testMode,
+        durationSec,
+        targetWords: Number.isFinite(wordTarget) ? wordTarget : 'unlimited',
+        setId: lesson.id,
+        source,
+        inputMode,
+    });
+    const rankable = !drillPool && !recall;
+    const best = rankable ? bests[bestKey] : null;
 
     // session state
     const [wIndex, setWIndex] = useState(0);
     const [cIndex, setCIndex] = useState(0);
-    const [errors, setErrors] = useState(0);
+    // reading index where the last wrong key landed (shown on the word until it's passed)
+    const [missAt, setMissAt] = useState(null);
+    // key counters live in a ref: finishRun reads them in the same tick they change
+    const counts = useRef({ keystrokes: 0, errors: 0 });
+
+    // per-word breakdown: finished/abandoned words, and counters for the current one
+    const wordLog = useRef([]);
+    const wordCounts = useRef({ startTs: null, keystrokes: 0, mistakes: 0 });
+
+    // wpm over time for the Results chart: one sample per second, plus when errors happened (ms)
+    const series = useRef([]);
+    const errorTimes = useRef([]);
+    const kanaNow = useRef(0); // read by the timer, which outlives renders
+
+    // keystroke recording for the replay: one event per input change, timed from the first key
+    const events = useRef([]);
+    const runStart = useRef(null);
+    const record = (event) => events.current.push({ t: Date.now() - runStart.current, w: wIndex, ...event });
     const [startTs, setStartTs] = useState(null);
     const [elapsed, setElapsed] = useState(0);
 
-    // ime buffers
+    // ime buffers (raw = accepted keys / direct text, ime = committed kana + pending romaji)
     const [raw, setRaw] = useState('');
-    const [typedKana, setTypedKana] = useState('');
+    const [ime, setIme] = useState(() => imeInit(scheme));
 
     // refs / timers
     const inputRef = useRef(null);
@@ -137,27 +253,47 @@ export default function PracticeScreen({ navigation }) {
     const scrollX = useRef(new Animated.Value(0)).current;
 
     // current word
-    const currentWord = words[wIndex] ?? words[0];
+    const currentWord = wordAt(wIndex) ?? words[0];
     const currentTarget = currentWord?.reading || '';
+    const typedKana = inputMode === 'romaji' ? matchScript(ime.kana, currentTarget) : raw;
+
+    // romaji hint, derived from the reading in the typist's own spelling style
+    const styleRef = useRef(initStyle());
+    const hint = useMemo(
+        () => (showRomaji ? romajiHint(currentTarget, inputMode === 'romaji' ? raw : '', styleRef.current, scheme) : ''),
+        [showRomaji, currentTarget, raw, inputMode, scheme]
+    );
 
     // measurement
     const wordTotalWidths = useRef({});
     const [layoutTick, setLayoutTick] = useState(0);
 
+    // re-measured when a word changes size (recall modes reveal the answer after it's typed)
     const onMeasureWord = (i, width) => {
-        if (wordTotalWidths.current[i] == null) {
+        const old = wordTotalWidths.current[i];
+        if (old !== width) {
             wordTotalWidths.current[i] = width;
+            if (passed.current.from === first && i < passed.current.count) passed.current.width += width - (old ?? 0);
             setLayoutTick((t) => t + 1);
         }
     };
 
-    const sumPrevWords = (idx) => {
-        let s = 0;
-        for (let k = 0; k < idx; k++) {
-            s += (wordTotalWidths.current[k] ?? 0);
-            s += INTER_WORD_GAP;
+    // running totals (kana, conveyor width) over the words before the current one,
+    // so a keystroke doesn't walk the whole run
+    const passed = useRef({ from: null, count: 0, kana: 0, width: 0 });
+    const kanaOf = (i) => [...(wordAt(i)?.reading || '')].length;
+    const widthOf = (i) => (wordTotalWidths.current[i] ?? 0) + INTER_WORD_GAP;
+    const totalsBefore = (idx) => {
+        if (passed.current.from !== first) passed.current = { from: first, count: 0, kana: 0, width: 0 };
+        const p = passed.current;
+        for (; p.count < Math.min(idx, wIndex); p.count++) {
+            p.kana += kanaOf(p.count);
+            p.width += widthOf(p.count);
         }
-        return s;
+        let { kana, width } = p;
+        for (let k = p.count; k < idx; k++) { kana += kanaOf(k); width += widthOf(k); }
+        for (let k = idx; k < p.count; k++) { kana -= kanaOf(k); width -= widthOf(k); }
+        return { kana, width };
     };
 
     // focus & cleanup
@@ -174,20 +310,72 @@ export default function PracticeScreen({ navigation }) {
             if (source !== 'jisho') return;
             setLoadingJisho(true);
             const need = Number.isFinite(wordTarget) ? wordTarget : 25;
-            const got = await fetchRandomJishoWords(Math.max(10, need));
+            const { words: got, cached } = await fetchJishoWords(Math.max(10, need), {
+                levels: jishoLevel ? [jishoLevel] : [],
+                commonOnly: jishoCommon,
+            });
             if (alive) {
                 setRemoteWords(got);
+                setJishoCached(cached);
                 setLoadingJisho(false);
             }
         })();
         return () => { alive = false; };
-    }, [source, wordTarget, seed]);
+    }, [source, wordTarget, seed, jishoLevel, jishoCommon]);
 
-    // reset when dataset changes
+    // switching to a pool without meanings leaves meaning recall (it would have nothing to prompt)
     useEffect(() => {
+        if (recall !== 'meaning' || hasMeanings) return;
         hardReset(false);
+        setRecall(null);
         // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [setId]);
+    }, [recall, hasMeanings]);
+
+    // keep LOOKAHEAD words queued past the current one, up to the run's length
+    useEffect(() => {
+        if (drawnCount >= runLength || drawnCount - wIndex > LOOKAHEAD) return;
+        const got = stream.take(Math.min(LOOKAHEAD, runLength - drawnCount));
+        if (got.length) {
+            setDrawn((d) => (d.from === first
+                ? { ...d, words: [...d.words, ...got] }
+                : { from: first, words: [...first, ...got], dropped: 0 }));
+        }
+    }, [runLength, wIndex, drawnCount, stream, first]);
+
+    // endless runs: drop the words that scrolled off (the running totals already count them)
+    useEffect(() => {
+        if (!endless || wIndex - dropped < 2 * KEEP_BEHIND) return;
+        const cut = wIndex - KEEP_BEHIND - dropped;
+        for (let i = dropped; i < dropped + cut; i++) delete wordTotalWidths.current[i];
+        setDrawn((d) => (d.from === first
+            ? { ...d, words: d.words.slice(cut), dropped: d.dropped + cut }
+            : { from: first, words: first.slice(cut), dropped: cut }));
+    }, [endless, wIndex, dropped, first]);
+
+    // endless jisho runs: fetch the next batch in the background before the fetched words run out
+    const prefetching = useRef(null); // the stream a fetch is running (or gave up) for
+    useEffect(() => {
+        if (drillPool || source !== 'jisho' || !endless || !remoteWords?.length || loadingJisho) return;
+        if (prefetching.current === stream || stream.unseen() >= JISHO_PREFETCH_AT) return;
+        prefetching.current = stream;
+        fetchJishoWords(JISHO_BATCH, { levels: jishoLevel ? [jishoLevel] : [], commonOnly: jishoCommon })
+            // nothing new (offline, or the filter ran out): stop asking for this run
+            .then(({ words: got }) => {
+                if (stream.add(got) && prefetching.current === stream) prefetching.current = null;
+            })
+            .catch(() => {});
+    }, [drillPool, source, endless, remoteWords, loadingJisho, stream, wIndex, jishoLevel, jishoCommon]);
+
+    // a romaji hint or a peek means the word wasn't recalled unaided
+    useEffect(() => {
+        if (showRomaji || peek) wordCounts.current.hinted = true;
+    }, [showRomaji, peek, wIndex]);
+
+    // reset when dataset or romanization scheme changes
+    useEffect(() => {
+        hardReset(false);
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [setId, scheme]);
 
     // timer tick
     useEffect(() => {
@@ -195,27 +383,27 @@ export default function PracticeScreen({ navigation }) {
         timerRef.current = setInterval(() => {
             const now = Date.now();
             setElapsed(now - startTs);
+
+            const sec = Math.floor((now - startTs) / 1000);
+            if (sec > 0 && sec > (series.current.at(-1)?.t ?? 0)) {
+                const { rawWpm, netWpm } = computeStats({ kana: kanaNow.current, ...counts.current, ms: now - startTs });
+                series.current.push({ t: sec, raw: rawWpm, net: netWpm, kana: kanaNow.current });
+            }
+
             if (testMode === 'time' && endTsRef.current && now >= endTsRef.current) {
-                finishRun();
+                finishRef.current();
             }
         }, 100);
         return () => clearInterval(timerRef.current);
     }, [startTs, testMode]);
 
     // stats
-    const minutes = Math.max(0.001, elapsed / 60000);
-    const grossCharsBeforeThisWord =
-        words.slice(0, wIndex).reduce((acc, w) => acc + [...(w.reading || '')].length + 1, 0);
-    const grossChars = grossCharsBeforeThisWord + cIndex;
-    const wpm = Math.round((grossChars / 5) / minutes);
-
-    // lcp
-    const lcp = (a, b) => {
-        const n = Math.min(a.length, b.length);
-        let i = 0;
-        while (i < n && a[i] === b[i]) i++;
-        return i;
-    };
+    kanaNow.current = totalsBefore(wIndex).kana + cIndex;
+    const { netKpm: kpm, accuracy } = computeStats({
+        kana: kanaNow.current,
+        ...counts.current,
+        ms: elapsed,
+    });
 
     // animator (centering)
     const animateToOffset = (px, animated = true) => {
@@ -229,7 +417,7 @@ export default function PracticeScreen({ navigation }) {
     };
 
     // center the active word
-    const leftOf = (i) => sumPrevWords(i);
+    const leftOf = (i) => totalsBefore(i).width;
     const computeCenterOffset = (idx) => {
         const w = wordTotalWidths.current[idx] ?? 0;
         const left = leftOf(idx);
@@ -247,85 +435,245 @@ export default function PracticeScreen({ navigation }) {
     const onChange = (text) => {
         if (!startTs && text.length > 0) {
             const now = Date.now();
+            runStart.current = now;
             setStartTs(now);
+            wordCounts.current.startTs = now;
             endTsRef.current = testMode === 'time' ? now + durationSec * 1000 : null;
         }
 
-        const targetLen = currentTarget.length || 0;
+        const targetLen = Math.max(currentTarget.length, (currentWord?.surface || '').length);
         const maxRaw = Math.max(1, targetLen * INPUT_LIMIT_MULTIPLIER);
         if (text.length > maxRaw) text = text.slice(0, maxRaw);
 
-        setRaw(text);
+        if (inputMode === 'romaji') onRomaji(text);
+        else onDirect(text);
+    };
 
-        const kana = romajiToHiragana(text);
-        setTypedKana(kana);
+    // romaji: keys go through the in-app IME, keys that can't reach the target are rejected
+    const onRomaji = (text) => {
+        let st = ime;
+        let accepted = raw;
+        let missed = false;
+        if (text.startsWith(raw)) {
+            // new keys: a key is a mistake only if no continuation can reach the target
+            for (const ch of text.slice(raw.length)) {
+                countKeys(1);
+                const next = imeFeed(st, ch, currentTarget);
+                if (!imeCheck(next, currentTarget).ok) {
+                    countError();
+                    missed = true;
+                    continue; // rejected: it never reaches the buffer
+                }
+                st = next;
+                accepted += ch;
+            }
+        } else {
+            // backspace / edit: replay what is left (those keys were all accepted before)
+            st = imeFeedString(text, currentTarget, scheme);
+            accepted = text;
+        }
 
-        const prev = cIndex;
-        const matched = lcp(kana, currentTarget);
+        const { matched, complete } = imeCheck(st, currentTarget);
+        setRaw(accepted);
+        setIme(st);
         setCIndex(matched);
+        if (missed) setMissAt(matched);
+        else if (matched !== missAt || text.length < raw.length) setMissAt(null);
+        record({ raw: accepted, kana: st.kana, pending: st.pending || undefined, matched, miss: missed || undefined });
 
-        if (text.length > raw.length && matched <= prev && kana.length >= prev) {
-            setErrors((e) => e + 1);
+        if (complete) {
+            styleRef.current = learnStyle(styleRef.current, accepted, currentTarget, scheme);
+            completeWord();
         }
+    };
 
-        if (kana === currentTarget && currentTarget.length > 0) {
-            setRaw('');
-            setTypedKana('');
-            setCIndex(0);
+    // kana / surface: the OS keyboard composes, we only compare (composition can't be rejected)
+    const onDirect = (text) => {
+        const check = checkDirect(text, currentWord, inputMode);
 
-            if (testMode === 'words') {
-                const targetCount = Number.isFinite(wordTarget) ? wordTarget : Infinity;
-                if (wIndex + 1 >= targetCount || wIndex + 1 >= words.length) {
-                    finishRun();
-                    return;
-                }
-            }
-
-            if (wIndex < words.length - 1) setWIndex(wIndex + 1);
-            else { finishRun(); return; }
+        if (text.length > raw.length) countKeys(text.length - raw.length);
 
-            setTimeout(() => inputRef.current?.focus(), 0);
+        // count the edit that first takes the text off track, not every edit while it stays off
+        if (text.length > raw.length && !check.ok && checkDirect(raw, currentWord, inputMode).ok) {
+            countError();
         }
+
+        setRaw(text);
+        setCIndex(check.matched);
+        setMissAt(check.ok ? null : check.matched);
+        record({ raw: text, kana: text, matched: check.matched, miss: !check.ok || undefined });
+
+        if (check.complete) completeWord();
+    };
+
+    // counters: whole run + current word
+    const countKeys = (n) => {
+        counts.current.keystrokes += n;
+        wordCounts.current.keystrokes += n;
+    };
+    const countError = () => {
+        counts.current.errors += 1;
+        wordCounts.current.mistakes += 1;
+        errorTimes.current.push(startTs ? Date.now() - startTs : 0);
     };
 
-    // helper: gross chars typed up to "now" (completed words + current match)
-    const grossCharsUpToNow = () => {
-        const before = words.slice(0, wIndex)
-            .reduce((acc, w) => acc + [...(w.reading || '')].length + 1 /* gap */, 0);
-        return before + cIndex;
+    // close the current word's entry in the per-word breakdown
+    const logWord = (finished) => {
+        const now = Date.now();
+        const { startTs: wordStart, keystrokes, mistakes } = wordCounts.current;
+        wordLog.current.push({
+            surface: currentWord?.surface ?? '',
+            reading: currentTarget,
+            ...(currentWord?.ruby && { ruby: currentWord.ruby }),
+            ...(currentWord?.segments && { segments: currentWord.segments }),
+            ...(currentWord?.meaning && { meaning: currentWord.meaning }),
+            ms: wordStart ? now - wordStart : 0,
+            keystrokes,
+            mistakes,
+            finished,
+            ...(recall && { hinted: Boolean(wordCounts.current.hinted || showRomaji || peek) }),
+        });
+        wordCounts.current = { startTs: now, keystrokes: 0, mistakes: 0 };
     };
 
-    // finish run
-    const finishRun = () => {
+    // advance to the next word, or end the run
+    const completeWord = () => {
+        logWord(true);
+        setRaw('');
+        setIme(imeInit(scheme));
+        setCIndex(0);
+        setMissAt(null);
+        setPeek(false);
+
+        if (wIndex + 1 >= runLength) {
+            finishRun(true);
+            return;
+        }
+
+        if (wIndex < drawnCount - 1) setWIndex(wIndex + 1);
+        else { finishRun(true); return; }
+
+        setTimeout(() => inputRef.current?.focus(), 0);
+    };
+
+    // finish run (wordDone: the current word was just completed, state hasn't caught up yet)
+    const finishRun = (wordDone = false) => {
         if (timerRef.current) clearInterval(timerRef.current);
 
-        // compute precise elapsed for final wpm (don't rely on state that may be stale)
+        // compute precise elapsed for the final speed (don't rely on state that may be stale)
         const finalMs =
             testMode === 'time'
                 ? durationSec * 1000
                 : (startTs ? Math.max(0, Date.now() - startTs) : (elapsed || 0));
 
-        // clamp to at least 1s to avoid insane spikes from ~0 minutes
-        const finalMinutes = Math.max(1 / 60, finalMs / 60000);
-        const finalGross = grossCharsUpToNow();
-        const wpmFinal = Math.round((finalGross / 5) / finalMinutes);
+        const kana = wordDone ? totalsBefore(wIndex + 1).kana : totalsBefore(wIndex).kana + cIndex;
+        if (!wordDone && wordCounts.current.keystrokes > 0) logWord(false);
+        const stats = computeStats({ kana, ...counts.current, ms: finalMs });
+        const lastT = series.current.at(-1)?.t ?? 0;
+        if (finalMs / 1000 > lastT) {
+            series.current.push({ t: Math.round(finalMs / 100) / 10, raw: stats.rawWpm, net: stats.netWpm, kana });
+        }
 
         const seconds = Math.floor(finalMs / 1000);
 
+        const newBest = rankable && beats({ kpm: stats.netKpm, accuracy: stats.accuracy }, best);
+        if (newBest) {
+            const entry = {
+                kpm: stats.netKpm,
+                accuracy: stats.accuracy,
+                at: Date.now(),
+                pace: series.current.map((p) => [p.t, p.kana ?? 0]),
+            };
+            saveBest(bestKey, entry).catch(() => {});
+        }
+
         const payload = {
             mode: testMode,
             source,
+            setId: lesson.id,
+            inputMode,
+            scheme: inputMode === 'romaji' ? scheme : undefined,
+            review: reviewing || undefined,
+            recall: recall ?? undefined,
+            recalled: recall ? wordLog.current.filter((w) => w.finished && !w.hinted).length : undefined,
+            newBest: newBest || undefined,
+            previousBest: best?.kpm,
             durationSec: testMode === 'time' ? durationSec : undefined,
             targetWords: testMode === 'words'
                 ? (Number.isFinite(wordTarget) ? wordTarget : 'unlimited')
                 : undefined,
-            wpm: wpmFinal,
+            kpm: stats.netKpm,
+            rawKpm: stats.rawKpm,
+            wpm: stats.netWpm,
+            rawWpm: stats.rawWpm,
+            accuracy: stats.accuracy,
+            keysPerMinute: stats.keysPerMinute,
+            keysPerKana: stats.keysPerKana,
+            kana,
+            ...counts.current,
             timeSec: seconds,
-            words: words.map(({ surface, reading }) => ({ surface, reading })),
-            completedWords: wIndex + (typedKana === currentTarget && currentTarget ? 1 : 0),
+            words: wordLog.current.map(({ surface, reading }) => ({ surface, reading })),
+            wordStats: wordLog.current,
+            series: series.current,
+            errorTimes: errorTimes.current,
+            completedWords: wIndex + (wordDone ? 1 : 0),
+            challenge: challengeCode ?? undefined,
+            weighted: weighted || undefined,
         };
 
-        navigation?.replace?.('Results', payload);
+        // history is best-effort: a storage failure must not block the results screen;
+        // the recording is stored on its own (it's big) and rides along to Results
+        const recording = {
+            version: RECORDINGS_VERSION,
+            inputMode,
+            scheme: payload.scheme,
+            words: wordLog.current.map(({ surface, reading, ruby, segments }) => ({
+                surface,
+                reading,
+                ...(ruby && { ruby }),
+                ...(segments && { segments }),
+            })),
+            events: events.current,
+        };
+        saveRun(payload)
+            .then((run) => saveRecording(run.id, recording))
+            .catch(() => {});
+        recordWords(wordLog.current).catch(() => {});
+        navigation?.replace?.('Results', { ...payload, recording });
+    };
+    // the timer interval outlives renders; always call the latest finishRun
+    const finishRef = useRef(finishRun);
+    finishRef.current = finishRun;
+
+    // saved preferences: applied on mount and again when they were changed in Settings
+    const appliedSettings = useRef(null);
+    const applySettings = (s) => {
+        const key = JSON.stringify(s);
+        if (appliedSettings.current === key) return;
+        appliedSettings.current = key;
+        hardReset(false);
+        setTestMode(s.testMode);
+        setDurationSec(s.durationSec);
+        setWordTarget(s.wordTarget ?? Infinity);
+        setSource(s.source);
+        setInputMode(s.inputMode);
+        setScheme(s.scheme);
+        setShowRomaji(s.showRomaji);
+        setShowFurigana(s.showFurigana);
+        setShowGhost(s.showGhost);
+        setFontSize(s.fontSize);
+        setWeightByFreq(s.weightByFreq);
+        if (!drillPool) setSetId(s.setId);
+    };
+    const applySettingsRef = useRef(applySettings);
+    applySettingsRef.current = applySettings;
+
+    // the hint toggles are saved as they're flipped (without re-applying everything)
+    const toggleSetting = (key, value, set) => {
+        set(value);
+        saveSettings({ [key]: value })
+            .then((s) => { appliedSettings.current = JSON.stringify(s); })
+            .catch(() => {});
     };
 
     // reset session
@@ -333,12 +681,21 @@ export default function PracticeScreen({ navigation }) {
         if (timerRef.current) clearInterval(timerRef.current);
         endTsRef.current = null;
 
-        if (reshuffle) setSeed((s) => s + 1);
+        if (reshuffle) setSeed(randomSeed());
+        setRound((r) => r + 1);
         setWIndex(0);
         setCIndex(0);
+        setMissAt(null);
+        setPeek(false);
         setRaw('');
-        setTypedKana('');
-        setErrors(0);
+        setIme(imeInit(scheme));
+        counts.current = { keystrokes: 0, errors: 0 };
+        wordLog.current = [];
+        series.current = [];
+        errorTimes.current = [];
+        events.current = [];
+        runStart.current = null;
+        wordCounts.current = { startTs: null, keystrokes: 0, mistakes: 0 };
         setStartTs(null);
         setElapsed(0);
         wordTotalWidths.current = {};
@@ -350,19 +707,19 @@ export default function PracticeScreen({ navigation }) {
         }, 200);
     };
 
-    // cycle sets
-    const setsMeta = listSets();
-    const cycleSet = () => {
-        const i = setsMeta.findIndex((s) => s.id === setId);
-        const next = setsMeta[(i + 1) % setsMeta.length]?.id || DEFAULT_SET_ID;
-        setSetId(next);
+    // set picker
+    const [pickingSet, setPickingSet] = useState(false);
+    const pickSet = (id) => {
+        setPickingSet(false);
+        setSetId(id);
     };
 
     // pill
-    const Pill = ({ active, onPress, children }) => (
+    const Pill = ({ active, disabled, onPress, children }) => (
         <Pressable
             onPress={onPress}
-            style={[styles.pill, active && styles.pillActive]}
+            disabled={disabled}
+            style={[styles.pill, active && styles.pillActive, disabled && styles.pillDisabled]}
         >
             <Text style={styles.pillText}>{children}</Text>
         </Pressable>
@@ -376,8 +733,33 @@ export default function PracticeScreen({ navigation }) {
 
     const wordsProgress =
         testMode === 'words'
-            ? `${Math.min(wIndex + 1, Number.isFinite(wordTarget) ? wordTarget : wIndex + 1)} / ${Number.isFinite(wordTarget) ? wordTarget : '∞'}`
+            ? `${Math.min(wIndex + 1, runLength)} / ${Number.isFinite(runLength) ? runLength : '∞'}`
             : null;
+    // ∞ word runs only end when asked to (the finish button, or return)
+    const canFinish = testMode === 'words' && !Number.isFinite(runLength) && Boolean(startTs);
+
+    // conveyor window: the words around the current one, after a spacer as wide as the ones before
+    const shownFrom = Math.max(dropped, wIndex - KEEP_BEHIND);
+    const shownTo = Math.min(drawnCount, wIndex + LOOKAHEAD + 1);
+    const spacerW = totalsBefore(shownFrom).width;
+
+    // ghost: where the best run would be by now, as an x offset on the conveyor (hidden outside the window)
+    let ghostX = null;
+    if (showGhost && best?.pace && startTs) {
+        const at = paceAt(best.pace, elapsed / 1000);
+        let { kana, width: x } = totalsBefore(shownFrom);
+        for (let i = shownFrom; i < shownTo && at >= kana; i++) {
+            const len = kanaOf(i);
+            const width = wordTotalWidths.current[i];
+            if (width == null) break;
+            if (at <= kana + len) {
+                ghostX = x + (len ? (at - kana) / len : 0) * width;
+                break;
+            }
+            kana += len;
+            x += width + INTER_WORD_GAP;
+        }
+    }
 
     return (
         <KeyboardAvoidingView
@@ -392,15 +774,31 @@ export default function PracticeScreen({ navigation }) {
                 <Pressable style={styles.flex} onPress={() => inputRef.current?.focus()}>
                     {/* top bar */}
                     <View style={styles.topBar}>
-                        <Pressable onPress={cycleSet}>
-                            <Text style={styles.topLabel}>
-                                {lesson.label} 
-                                {/* • {showRomaji ? 'romaji aid' : 'hiragana/kanji'} */}
-                            </Text>
-                        </Pressable>
+                        {inChallenge ? (
+                            <Pressable onPress={() => { setChallenge(null); hardReset(true); }}>
+                                <Text style={styles.topLabel}>
+                                    {challenge.daily ? 'daily challenge' : `challenge ${challenge.code}`} (tap to exit)
+                                </Text>
+                            </Pressable>
+                        ) : drillPool ? (
+                            <Pressable onPress={() => { navigation?.setParams?.({ drill: undefined }); hardReset(true); }}>
+                                <Text style={styles.topLabel}>
+                                    drill: {drill.map((w) => w.surface).join('、')} (tap to exit)
+                                </Text>
+                            </Pressable>
+                        ) : (
+                            <Pressable onPress={() => setPickingSet(true)}>
+                                <Text style={styles.topLabel}>
+                                    {lesson.label} ▾
+                                    {/* • {showRomaji ? 'romaji aid' : 'hiragana/kanji'} */}
+                                </Text>
+                            </Pressable>
+                        )}
 
                         <View style={styles.topRight}>
-                            <Text style={styles.wpm}>wpm {isFinite(wpm) ? wpm : 0}</Text>
+                            <Text style={styles.speed}>{isFinite(kpm) ? kpm : 0} kana/min</Text>
+                            <Text style={styles.meter}>acc {accuracy}%</Text>
+                            {best && <Text style={styles.meter}>pb {best.kpm}</Text>}
                             <Text style={styles.meter}>
                                 {testMode === 'time'
                                     ? `⏱ ${remainingSec ?? Math.floor((elapsed || 0) / 1000)}s`
@@ -416,14 +814,16 @@ export default function PracticeScreen({ navigation }) {
 
                         {testMode === 'time' ? (
                             <View style={styles.inlineRow}>
-                                <Pill active={durationSec === 15} onPress={() => { hardReset(false); setDurationSec(15); }}>15s</Pill>
-                                <Pill active={durationSec === 30} onPress={() => { hardReset(false); setDurationSec(30); }}>30s</Pill>
+                                {/* the presets, plus a length picked in Settings */}
+                                {[...new Set([15, 30, durationSec])].map((n) => (
+                                    <Pill key={n} active={durationSec === n} onPress={() => { hardReset(false); setDurationSec(n); }}>{n}s</Pill>
+                                ))}
                             </View>
                         ) : (
                             <View style={styles.inlineRow}>
-                                <Pill active={wordTarget === 10} onPress={() => { hardReset(false); setWordTarget(10); }}>10</Pill>
-                                <Pill active={wordTarget === 25} onPress={() => { hardReset(false); setWordTarget(25); }}>25</Pill>
-                                <Pill active={wordTarget === 50} onPress={() => { hardReset(false); setWordTarget(50); }}>50</Pill>
+                                {[...new Set([10, 25, 50, wordTarget])].filter(Number.isFinite).map((n) => (
+                                    <Pill key={n} active={wordTarget === n} onPress={() => { hardReset(false); setWordTarget(n); }}>{n}</Pill>
+                                ))}
                                 <Pill active={!Number.isFinite(wordTarget)} onPress={() => { hardReset(false); setWordTarget(Infinity); }}>∞</Pill>
                             </View>
                         )}
@@ -433,6 +833,11 @@ export default function PracticeScreen({ navigation }) {
                     <View style={styles.rowSource}>
                         <Pill active={source === 'local'} onPress={() => { setSource('local'); hardReset(false); }}>local</Pill>
                         <Pill active={source === 'jisho'} onPress={() => { setSource('jisho'); hardReset(true); }}>jisho</Pill>
+                        {source === 'local' && (
+                            <Pill active={review} onPress={() => { setReview((v) => !v); hardReset(false); }}>
+                                review{dueCount ? ` · ${dueCount} due` : ''}
+                            </Pill>
+                        )}
 
                         {source === 'jisho' && (
                             <View style={styles.inlineRow}>
@@ -444,7 +849,7 @@ export default function PracticeScreen({ navigation }) {
                                 ) : (
                                     <Text style={styles.hint}>
                                         {Array.isArray(remoteWords) && remoteWords.length
-                                            ? `${remoteWords.length} loaded`
+                                            ? `${remoteWords.length} loaded${jishoCached ? ` (${jishoCached} offline)` : ''}`
                                             : 'no results, using local fallback'}
                                     </Text>
                                 )}
@@ -452,6 +857,41 @@ export default function PracticeScreen({ navigation }) {
                         )}
                     </View>
 
+                    {/* jisho filters */}
+                    {source === 'jisho' && (
+                        <View style={styles.rowSource}>
+                            {JLPT_LEVELS.map((n) => (
+                                <Pill key={n} active={jishoLevel === n} onPress={() => { setJishoLevel(n); hardReset(false); }}>N{n}</Pill>
+                            ))}
+                            <Pill active={jishoLevel === null} onPress={() => { setJishoLevel(null); hardReset(false); }}>any</Pill>
+                            <Pill active={jishoCommon} onPress={() => { setJishoCommon((v) => !v); hardReset(false); }}>common only</Pill>
+                        </View>
+                    )}
+
+                    {/* recall mode */}
+                    <View style={styles.rowSource}>
+                        <Pill active={!recall} onPress={() => { if (recall) { hardReset(false); setRecall(null); } }}>typing</Pill>
+                        <Pill active={recall === 'meaning'} disabled={!hasMeanings} onPress={() => { if (recall !== 'meaning') { hardReset(false); setRecall('meaning'); } }}>meaning → reading</Pill>
+                        <Pill active={recall === 'kanji'} onPress={() => { if (recall !== 'kanji') { hardReset(false); setRecall('kanji'); } }}>kanji → meaning</Pill>
+                        {!hasMeanings && <Text style={styles.hint}>no meanings in this set</Text>}
+                    </View>
+
+                    {/* input mode (row 3) */}
+                    <View style={styles.rowSource}>
+                        <Pill active={inputMode === 'romaji'} onPress={() => { if (inputMode !== 'romaji') { hardReset(false); setInputMode('romaji'); } }}>romaji</Pill>
+                        <Pill active={inputMode === 'kana'} onPress={() => { if (inputMode !== 'kana') { hardReset(false); setInputMode('kana'); } }}>kana</Pill>
+                        <Pill active={inputMode === 'surface'} onPress={() => { if (inputMode !== 'surface') { hardReset(false); setInputMode('surface'); } }}>surface</Pill>
+                    </View>
+
+                    {/* romanization scheme (row 4, romaji input only) */}
+                    {inputMode === 'romaji' && (
+                        <View style={styles.rowSource}>
+                            {listSchemes().map((sc) => (
+                                <Pill key={sc.id} active={scheme === sc.id} onPress={() => setScheme(sc.id)}>{sc.label}</Pill>
+                            ))}
+                        </View>
+                    )}
+
                     {/* center area + conveyor (active word centered) */}
                     <View
                         style={styles.centerArea}
@@ -463,36 +903,88 @@ export default function PracticeScreen({ navigation }) {
                                 { opacity: source === 'jisho' && loadingJisho ? 0.5 : 1, transform: [{ translateX: scrollX }] },
                             ]}
                         >
-                            {words.map((w, i) => {
+                            {spacerW > 0 && <View style={{ width: spacerW }} />}
+                            {words.slice(shownFrom - dropped, shownTo - dropped).map((w, k) => {
+                                const i = shownFrom + k;
                                 const isActive = i === wIndex;
+                                // progress is colored on the active word only; sentence segments get it shifted to their own reading
+                                const progress = (offset = 0) => (isActive
+                                    ? { typed: cIndex - offset, missAt: missAt == null ? null : missAt - offset }
+                                    : {});
+                                let offset = 0;
+                                // recall modes hide the answer until the word is typed (or peeked at)
+                                const hidden = recall && i >= wIndex && !(isActive && peek);
+                                const furigana = recall ? !hidden : showFurigana;
+                                const prompt = recall === 'meaning' && hidden && w.meaning;
                                 return (
                                     <View
                                         key={`${w.surface}-${i}`}
                                         onLayout={(e) => onMeasureWord(i, e.nativeEvent.layout.width)}
                                         style={styles.wordBlock}
                                     >
-                                        <FuriganaWord
-                                            surface={w.surface}
-                                            reading={showFurigana ? w.reading : ''}
-                                            active={isActive}
-                                            fontSize={FONT_SIZES.display}
-                                        />
+                                        {prompt ? (
+                                            <Text style={[styles.meaning, isActive && styles.meaningActive]}>{w.meaning}</Text>
+                                        ) : w.segments ? (
+                                            // sentence: one block per segment, furigana over its kanji
+                                            <View style={styles.sentence}>
+                                                {w.segments.map((seg, k) => {
+                                                    const at = offset;
+                                                    offset += seg.reading.length;
+                                                    return (
+                                                        <FuriganaWord
+                                                            key={k}
+                                                            surface={seg.surface}
+                                                            reading={seg.reading}
+                                                            ruby={seg.ruby}
+                                                            furigana={furigana}
+                                                            active={isActive}
+                                                            fontSize={Math.round(fontSize * FONT_SIZES.xl / FONT_SIZES.display)}
+                                                            spacing={SEGMENT_GAP}
+                                                            {...progress(at)}
+                                                        />
+                                                    );
+                                                })}
+                                            </View>
+                                        ) : (
+                                            <FuriganaWord
+                                                surface={w.surface}
+                                                reading={w.reading}
+                                                ruby={w.ruby}
+                                                furigana={furigana}
+                                                active={isActive}
+                                                fontSize={fontSize}
+                                                {...progress()}
+                                            />
+                                        )}
 
+                                        {recall && i < wIndex && w.meaning && (
+                                            <Text style={styles.gloss}>{w.meaning}</Text>
+                                        )}
 
                                         {isActive && showRomaji && (
-                                            <Text style={styles.romaji}>{w.romaji}</Text>
+                                            <Text style={styles.romaji}>{hint}</Text>
                                         )}
 
                                         {isActive && (
-                                            <Text style={styles.typedKana}>{typedKana}</Text>
+                                            <Text style={styles.typedKana}>
+                                                {typedKana}
+                                                <Text style={styles.pending}>{ime.pending}</Text>
+                                            </Text>
                                         )}
                                     </View>
                                 );
                             })}
+
+                            {ghostX != null && (
+                                <View pointerEvents="none" style={[styles.ghost, { left: ghostX }]}>
+                                    <Text style={styles.ghostLabel}>PB</Text>
+                                    <View style={styles.ghostLine} />
+                                </View>
+                            )}
                         </Animated.View>
                     </View>
 
-                    {/* hidden input (romaji) */}
+                    {/* hidden input (romaji keys, or kana/kanji from the OS IME) */}
                     <TextInput
                         autoFocus
                         ref={inputRef}
@@ -503,37 +995,88 @@ export default function PracticeScreen({ navigation }) {
                         keyboardType="default"
                         style={styles.hiddenInput}
                         blurOnSubmit={false}
+                        onSubmitEditing={() => canFinish && finishRun(false)}
                     />
 
                     {/* bottom controls */}
                     <View style={[styles.bottomBar, { paddingBottom: -20 + insets.bottom }]}>
-                        <Pressable onPress={() => hardReset(true)} style={styles.button}>
-                            <Text style={styles.buttonText}>restart</Text>
-                        </Pressable>
+                        <View style={{ flexDirection: 'row' }}>
+                            {/* a challenge restarts on the same words */}
+                            <Pressable onPress={() => hardReset(!inChallenge)} style={styles.button}>
+                                <Text style={styles.buttonText}>restart</Text>
+                            </Pressable>
+                            {canFinish && (
+                                <Pressable onPress={() => finishRun(false)} style={[styles.button, { marginLeft: 10 }]}>
+                                    <Text style={styles.buttonText}>finish</Text>
+                                </Pressable>
+                            )}
+                            <Pressable
+                                onPress={() => navigation?.navigate?.('Challenge')}
+                                style={[styles.button, { marginLeft: 10 }]}
+                            >
+                                <Text style={styles.buttonText}>challenge</Text>
+                            </Pressable>
+                            <Pressable
+                                onPress={() => navigation?.navigate?.('History')}
+                                style={[styles.button, { marginLeft: 10 }]}
+                            >
+                                <Text style={styles.buttonText}>history</Text>
+                            </Pressable>
+                            <Pressable
+                                onPress={() => navigation?.navigate?.('Sets')}
+                                style={[styles.button, { marginLeft: 10 }]}
+                            >
+                                <Text style={styles.buttonText}>sets</Text>
+                            </Pressable>
+                            <Pressable
+                                onPress={() => navigation?.navigate?.('Settings')}
+                                style={[styles.button, { marginLeft: 10 }]}
+                            >
+                                <Text style={styles.buttonText}>settings</Text>
+                            </Pressable>
+                        </View>
 
                         <View style={{ flexDirection: 'row' }}>
-                            <Pressable onPress={() => setShowRomaji((s) => !s)} style={styles.button}>
+                            {recall && (
+                                <Pressable onPress={() => setPeek(true)} style={[styles.button, { marginRight: 10 }]}>
+                                    <Text style={styles.buttonText}>hint</Text>
+                                </Pressable>
+                            )}
+                            <Pressable onPress={() => toggleSetting('showRomaji', !showRomaji, setShowRomaji)} style={styles.button}>
                                 <Text style={styles.buttonText}>{showRomaji ? 'romaji: on' : 'romaji: off'}</Text>
                             </Pressable>
                             <Pressable
-                                onPress={() => setShowFurigana((s) => !s)}
+                                onPress={() => toggleSetting('showFurigana', !showFurigana, setShowFurigana)}
                                 style={[styles.button, { marginLeft: 10 }]}  // small gap, preserves overall spacing
                             >
                                 <Text style={styles.buttonText}>{showFurigana ? 'furigana: on' : 'furigana: off'}</Text>
                             </Pressable>
+                            <Pressable
+                                onPress={() => toggleSetting('showGhost', !showGhost, setShowGhost)}
+                                style={[styles.button, { marginLeft: 10 }]}
+                            >
+                                <Text style={styles.buttonText}>{showGhost ? 'ghost: on' : 'ghost: off'}</Text>
+                            </Pressable>
                         </View>
                     </View>
 
                 </Pressable>
             </ScrollView>
+
+            <SetPicker
+                visible={pickingSet}
+                selectedId={lesson.id}
+                onSelect={pickSet}
+                onClose={() => setPickingSet(false)}
+            />
         </KeyboardAvoidingView>
     );
 }
 
-const styles = StyleSheet.create({
+const makeStyles = (colors) => StyleSheet.create({
     container: {
         flex: 1,
-        backgroundColor: COLORS.bg,
+        backgroundColor: colors.bg,
     },
     scrollContent: {
         flexGrow: 1,
@@ -552,18 +1095,18 @@ const styles = StyleSheet.create({
         alignItems: 'center',
     },
     topLabel: {
-        color: COLORS.subtext,
+        color: colors.subtext,
         fontSize: FONT_SIZES.md,
     },
     topRight: {
         alignItems: 'flex-end',
     },
-    wpm: {
-        color: COLORS.text,
+    speed: {
+        color: colors.text,
         fontSize: FONT_SIZES.lg,
     },
     meter: {
-        color: COLORS.subtext,
+        color: colors.subtext,
         fontSize: FONT_SIZES.sm,
         marginTop: 4,
     },
@@ -594,20 +1137,23 @@ const styles = StyleSheet.create({
         paddingHorizontal: 12,
         borderRadius: 999,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
         marginRight: 8,
     },
     pillActive: {
-        borderColor: COLORS.accent,
+        borderColor: colors.accent,
+    },
+    pillDisabled: {
+        opacity: 0.5,
     },
     pillText: {
-        color: COLORS.text,
+        color: colors.text,
         fontSize: FONT_SIZES.md,
     },
 
     // hints / helper text
     hint: {
-        color: COLORS.subtext,
+        color: colors.subtext,
         fontSize: FONT_SIZES.sm,
         marginLeft: 8,
     },
@@ -621,20 +1167,65 @@ const styles = StyleSheet.create({
         flexDirection: 'row',
         alignItems: 'flex-end',
     },
+    ghost: {
+        position: 'absolute',
+        top: 0,
+        bottom: 0,
+        width: 20,
+        marginLeft: -10,
+        alignItems: 'center',
+    },
+    ghostLabel: {
+        color: colors.accent,
+        fontSize: FONT_SIZES.xs,
+        fontWeight: '600',
+    },
+    ghostLine: {
+        flex: 1,
+        width: 2,
+        backgroundColor: colors.accent,
+        opacity: 0.5,
+    },
+    sentence: {
+        flexDirection: 'row',
+        alignItems: 'flex-end',
+    },
     wordBlock: {
         flexDirection: 'column',
         alignItems: 'center',
         marginRight: INTER_WORD_GAP,
     },
+    meaning: {
+        maxWidth: 260,
+        color: colors.subtext,
+        fontSize: FONT_SIZES.md,
+        textAlign: 'center',
+        opacity: 0.5,
+    },
+    meaningActive: {
+        color: colors.text,
+        fontSize: FONT_SIZES.lg,
+        opacity: 1,
+    },
+    gloss: {
+        maxWidth: 220,
+        marginTop: 6,
+        color: colors.subtext,
+        fontSize: FONT_SIZES.sm,
+        textAlign: 'center',
+    },
     romaji: {
         marginTop: 6,
-        color: COLORS.subtext,
+        color: colors.subtext,
         fontSize: FONT_SIZES.md,
     },
     typedKana: {
         marginTop: 10,
         fontSize: FONT_SIZES.lg,
-        color: COLORS.accent,
+        color: colors.accent,
+    },
+    pending: {
+        color: colors.subtext,
     },
 
     // hidden input
@@ -657,11 +1248,11 @@ const styles = StyleSheet.create({
         paddingVertical: 12,
         paddingHorizontal: 16,
         borderWidth: 1,
-        borderColor: COLORS.border,
+        borderColor: colors.border,
         borderRadius: 12,
     },
     buttonText: {
-        color: COLORS.text,
+        color: colors.text,
         fontSize: FONT_SIZES.md,
     },
 });
@@ -1,8 +1,66 @@
-import { View, Text, Pressable, ScrollView } from 'react-native';
+import { View, Text, Pressable, ScrollView, Share } from 'react-native';
 import { useEffect, useState, useMemo } from 'react';
 
+import WpmChart from '../components/WpmChart';
+import Replay from '../components/Replay';
+import { useTheme } from '../components/ThemeProvider';
+import { reviewSummary } from '../storage/wordStats';
+import { exportRun } from '../storage/recordings';
+
 export default function ResultsScreen({ route, navigation }) {
-    const { wpm = 0, timeSec = 0, words = [] } = route.params ?? {};
+    const { colors } = useTheme();
+    const {
+        kpm = 0,
+        timeSec = 0,
+        wordStats = [],
+        rawKpm,
+        wpm,
+        rawWpm,
+        accuracy,
+        keysPerMinute,
+        keysPerKana,
+        errors = 0,
+        series = [],
+        errorTimes = [],
+        recall,
+        recalled,
+        newBest,
+        previousBest,
+        recording,
+        challenge,
+    } = route.params ?? {};
+
+    // secondary stats (runs saved before stats existed don't have them)
+    const STATS = [
+        ['raw kana/min', rawKpm],
+        ['net wpm', wpm],
+        ['raw wpm', rawWpm],
+        ['accuracy', accuracy != null ? `${accuracy}%` : undefined],
+        ['errors', errors],
+        ['keys/min', keysPerMinute],
+        ['keys/kana', keysPerKana],
+        // recall modes: words typed without a romaji hint or a peek
+        ['recalled', recall ? `${recalled ?? 0}/${wordStats.length}` : undefined],
+    ].filter(([, v]) => v != null);
+
+    // highlights: slowest per kana among finished words, and most mistakes
+    const slowest = useMemo(() => argMax(
+        wordStats,
+        (w) => (w.finished ? w.ms / Math.max(1, [...w.reading].length) : -1)
+    ), [wordStats]);
+    const mostMissed = useMemo(() => argMax(wordStats, (w) => w.mistakes || -1), [wordStats]);
+    const missed = useMemo(() => uniqueWords(wordStats.filter((w) => w.mistakes > 0 || !w.finished)), [wordStats]);
+
+    const drill = (list) =>
+        navigation.navigate('Practice', {
+            drill: list.map(({ surface, reading, ruby, segments, meaning }) => ({
+                surface,
+                reading,
+                ...(ruby && { ruby }),
+                ...(segments && { segments }),
+                ...(meaning && { meaning }),
+            })),
+        });
 
     // Pool of kaomojis
     const KAOMOJIS = useMemo(
@@ -16,11 +74,17 @@ export default function ResultsScreen({ route, navigation }) {
 
     const [kaomoji, setKaomoji] = useState('');
 
+    // spaced-repetition status after this run was recorded
+    const [due, setDue] = useState(null);
+    useEffect(() => {
+        reviewSummary().then(setDue).catch(() => {});
+    }, []);
+
     // Pick a kaomoji whenever the score changes
     useEffect(() => {
         const next = KAOMOJIS[Math.floor(Math.random() * KAOMOJIS.length)];
         setKaomoji(next);
-    }, [wpm, KAOMOJIS]);
+    }, [kpm, KAOMOJIS]);
 
     const Btn = ({ title, onPress, filled }) => (
         <Pressable
@@ -30,12 +94,12 @@ export default function ResultsScreen({ route, navigation }) {
                 paddingHorizontal: 20,
                 borderRadius: 12,
                 borderWidth: filled ? 0 : 1,
-                borderColor: '#2a2f3a',
-                backgroundColor: filled ? '#2a2f3a' : 'transparent',
+                borderColor: colors.border,
+                backgroundColor: filled ? colors.border : 'transparent',
                 marginHorizontal: 6,
             }}
         >
-            <Text style={{ color: '#c9d1d9', fontWeight: '600', fontSize: 16 }}>
+            <Text style={{ color: colors.text, fontWeight: '600', fontSize: 16 }}>
                 {title}
             </Text>
         </Pressable>
@@ -53,48 +117,106 @@ export default function ResultsScreen({ route, navigation }) {
             {/* results card */}
             <View
                 style={{
-                    backgroundColor: '#161b22',
+                    backgroundColor: colors.card,
                     padding: 24,
                     borderRadius: 20,
                     alignItems: 'center',
                     width: '100%',
                     maxWidth: 400,
-                    shadowColor: '#000',
+                    shadowColor: colors.shadow,
                     shadowOpacity: 0.2,
                     shadowRadius: 6,
                     elevation: 4,
                 }}
             >
-                <Text style={{ color: '#c9d1d9', fontSize: 30, fontWeight: '500', textAlign: 'center' }}>
-                    {wpm} WPM {kaomoji}
+                <Text style={{ color: colors.text, fontSize: 30, fontWeight: '500', textAlign: 'center' }}>
+                    {kpm} kana/min {kaomoji}
                 </Text>
-                <Text style={{ color: '#8b98a9', marginTop: 6, fontSize: 16 }}>
+                {newBest ? (
+                    <Text style={{ color: colors.accent, marginTop: 6, fontSize: 18, fontWeight: '600' }}>
+                        new personal best!{previousBest != null ? ` (was ${previousBest} kana/min)` : ''}
+                    </Text>
+                ) : previousBest != null ? (
+                    <Text style={{ color: colors.subtext, marginTop: 6, fontSize: 14 }}>
+                        personal best: {previousBest} kana/min
+                    </Text>
+                ) : null}
+                <Text style={{ color: colors.subtext, marginTop: 6, fontSize: 16 }}>
                     time: {timeSec}s
                 </Text>
+                {/* the code that reproduces these words */}
+                {challenge && (
+                    <Pressable
+                        onPress={() => Share.share({ message: `${kpm} kana/min on challenge ${challenge}: can you beat it?` }).catch(() => {})}
+                    >
+                        <Text style={{ color: colors.accent, marginTop: 4, fontSize: 14 }}>
+                            challenge {challenge} · share
+                        </Text>
+                    </Pressable>
+                )}
+                {due && (
+                    <Text style={{ color: colors.subtext, marginTop: 4, fontSize: 14 }}>
+                        {due.due} {due.due === 1 ? 'word' : 'words'} due for review today · {due.learned}/{due.total} learned
+                    </Text>
+                )}
+
+                {/* stats grid */}
+                <View style={{ flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'center', marginTop: 16 }}>
+                    {STATS.map(([label, value]) => (
+                        <View key={label} style={{ width: '33%', alignItems: 'center', marginVertical: 6 }}>
+                            <Text style={{ color: colors.text, fontSize: 20, fontWeight: '600' }}>{value}</Text>
+                            <Text style={{ color: colors.subtext, fontSize: 12, marginTop: 2 }}>{label}</Text>
+                        </View>
+                    ))}
+                </View>
+
+                {/* wpm over time */}
+                {series.length > 1 && (
+                    <View style={{ width: '100%', marginTop: 16 }}>
+                        <WpmChart series={series} errorTimes={errorTimes} />
+                    </View>
+                )}
+
+                {/* keystroke replay */}
+                {recording?.events?.length > 0 && (
+                    <View style={{ width: '100%', marginTop: 16 }}>
+                        <Replay recording={recording} />
+                    </View>
+                )}
 
                 <View style={{ flexDirection: 'row', marginTop: 24 }}>
                     <Btn
                         title="back"
                         onPress={() => navigation.navigate('Practice')}
                     />
+                    <Btn
+                        title="history"
+                        onPress={() => navigation.navigate('History')}
+                    />
+                    {recording && (
+                        <Btn
+                            title="export"
+                            onPress={() => Share.share({ title: 'typing run', message: exportRun(route.params) }).catch(() => {})}
+                        />
+                    )}
                 </View>
             </View>
 
-            {/* word list */}
-            {Array.isArray(words) && words.length > 0 && (
+            {/* per-word breakdown (tap a row to drill it) */}
+            {wordStats.length > 0 && (
                 <View
                     style={{
                         marginTop: 32,
                         width: '100%',
                         maxWidth: 400,
-                        backgroundColor: '#0d1117',
+                        backgroundColor: colors.inset,
                         padding: 16,
                         borderRadius: 12,
                     }}
                 >
                     <Text
                         style={{
-                            color: '#8b98a9',
+                            color: colors.subtext,
                             marginBottom: 12,
                             fontWeight: '600',
                             fontSize: 16,
@@ -102,16 +224,75 @@ export default function ResultsScreen({ route, navigation }) {
                     >
                         words this run:
                     </Text>
-                    {words.slice(0, 20).map((w, i) => (
-                        <Text
-                            key={i}
-                            style={{ color: '#c9d1d9', opacity: 0.85, marginBottom: 4 }}
-                        >
-                            • {w.surface} ({w.reading})
-                        </Text>
-                    ))}
+
+                    <View style={{ flexDirection: 'row', marginBottom: 6 }}>
+                        <Text style={[CELL, { flex: 3, color: colors.subtext }]}>word</Text>
+                        <Text style={[CELL, { color: colors.subtext }]}>time</Text>
+                        <Text style={[CELL, { color: colors.subtext }]}>keys</Text>
+                        <Text style={[CELL, { color: colors.subtext }]}>miss</Text>
+                        <Text style={[CELL, { flex: 0.6, color: colors.subtext }]} />
+                    </View>
+
+                    {wordStats.map((w, i) => {
+                        const color = i === mostMissed ? colors.danger : i === slowest ? colors.warning : colors.text;
+                        return (
+                            <Pressable
+                                key={i}
+                                onPress={() => drill([w])}
+                                style={{ flexDirection: 'row', paddingVertical: 4 }}
+                            >
+                                <Text style={[CELL, { flex: 3, color }]} numberOfLines={1}>
+                                    {w.surface} ({w.reading})
+                                </Text>
+                                <Text style={[CELL, { color }]}>{(w.ms / 1000).toFixed(1)}s</Text>
+                                <Text style={[CELL, { color }]}>{w.keystrokes}</Text>
+                                <Text style={[CELL, { color }]}>{w.mistakes}</Text>
+                                <Text style={[CELL, { flex: 0.6, color }]}>{!w.finished ? '…' : w.hinted ? '?' : '✓'}</Text>
+                            </Pressable>
+                        );
+                    })}
+
+                    <Text style={{ color: colors.subtext, fontSize: 12, marginTop: 10 }}>
+                        <Text style={{ color: colors.warning }}>slowest</Text>
+                        {' · '}
+                        <Text style={{ color: colors.danger }}>most missed</Text>
+                        {recall ? ' · ? hinted' : ''}
+                        {' · tap a word to drill it'}
+                    </Text>
+
+                    {missed.length > 0 && (
+                        <View style={{ flexDirection: 'row', marginTop: 12 }}>
+                            <Btn title={`drill ${missed.length} missed`} onPress={() => drill(missed)} />
+                        </View>
+                    )}
                 </View>
             )}
         </ScrollView>
     );
 }
+
+const CELL = { flex: 1, fontSize: 14, textAlign: 'left' };
+
+// index of the highest score (> 0), or -1
+function argMax(list, score) {
+    let best = -1;
+    let bestScore = 0;
+    list.forEach((item, i) => {
+        const v = score(item);
+        if (v > bestScore) {
+            best = i;
+            bestScore = v;
+        }
+    });
+    return best;
+}
+
+function uniqueWords(list) {
+    const seen = new Set();
+    return list.filter((w) => {
+        const key = `${w.surface}|${w.reading}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
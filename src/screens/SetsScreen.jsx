@@ -0,0 +1,459 @@
+import { useCallback, useMemo, useState } from 'react';
+import {
+    View,
+    Text,
+    TextInput,
+    Pressable,
+    ScrollView,
+    Share,
+    StyleSheet,
+} from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+import { listSets, exportSet } from '../data';
+import { FORMATS, detectFormat, parseSetText, previewRows } from '../data/importers';
+import { validateSet, formatProblem } from '../data/validate';
+import { compileScheme, getScheme } from '../utils/romanize';
+import {
+    loadCustomSets,
+    saveCustomSet,
+    renameCustomSet,
+    deleteCustomSet,
+} from '../storage/customSets';
+import { loadCustomScheme, saveCustomScheme, clearCustomScheme } from '../storage/customScheme';
+import { confirmAction } from '../utils/confirm';
+import { useTheme, useThemedStyles } from '../components/ThemeProvider';
+
+const FIELDS = ['surface', 'reading', 'romaji', 'meaning'];
+// columns a file can do without; tapping the chosen one again unsets it
+const OPTIONAL_FIELDS = ['romaji', 'meaning'];
+
+// problems listed under the import preview before "and N more"
+const MAX_PROBLEMS_SHOWN = 8;
+
+const SCHEME_EXAMPLE = '{ "label": "class", "base": "hepburn", "exclude": ["nn"], "add": { "ti": "てぃ" } }';
+
+export default function SetsScreen() {
+    const { colors } = useTheme();
+    const styles = useThemedStyles(makeStyles);
+    const [sets, setSets] = useState(listSets());
+    // failures are shown next to what failed (Alert.alert is a no-op on web)
+    const [setsError, setSetsError] = useState(null);
+    const [importError, setImportError] = useState(null);
+    const [schemeError, setSchemeError] = useState(null);
+
+    // import draft
+    const [text, setText] = useState('');
+    const [filename, setFilename] = useState('');
+    const [format, setFormat] = useState(null); // null = auto
+    const [columns, setColumns] = useState(null); // csv/tsv column mapping
+    const [hasHeader, setHasHeader] = useState(undefined); // undefined = auto
+    const [label, setLabel] = useState('');
+    const [strict, setStrict] = useState(false);
+
+    // rename
+    const [renaming, setRenaming] = useState(null);
+    const [renameText, setRenameText] = useState('');
+
+    // custom romanization scheme
+    const [savedScheme, setSavedScheme] = useState(null);
+    const [schemeText, setSchemeText] = useState('');
+
+    const refresh = useCallback(() => {
+        loadCustomSets()
+            .then(() => setSetsError(null))
+            .catch((e) => setSetsError(`couldn't read imported sets: ${e.message}`))
+            .then(() => setSets(listSets()));
+        loadCustomScheme().then(setSavedScheme).catch(() => {});
+    }, []);
+    useFocusEffect(refresh);
+
+    const effectiveFormat = format || (text ? detectFormat(text, filename) : null);
+    const delimiter = effectiveFormat === 'tsv' ? '\t' : ',';
+    const preview = useMemo(
+        () => (effectiveFormat === 'csv' || effectiveFormat === 'tsv' ? previewRows(text, delimiter) : []),
+        [text, effectiveFormat, delimiter]
+    );
+
+    // parse on the fly so the user sees what they'll get
+    const parsed = useMemo(() => {
+        if (!text.trim()) return null;
+        try {
+            return { result: parseSetText(text, { format: effectiveFormat, filename, columns, hasHeader }) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }, [text, effectiveFormat, filename, columns, hasHeader]);
+
+    const check = useMemo(
+        () => (parsed?.result ? validateSet(parsed.result, { strict }) : null),
+        [parsed, strict]
+    );
+
+    // compile on the fly: shows errors, or which kana the table can't produce
+    const schemeDraft = useMemo(() => {
+        if (!schemeText.trim()) return null;
+        try {
+            return { scheme: compileScheme(JSON.parse(schemeText)) };
+        } catch (e) {
+            return { error: e.message };
+        }
+    }, [schemeText]);
+
+    const saveScheme = async () => {
+        try {
+            setSavedScheme(await saveCustomScheme(JSON.parse(schemeText)));
+            setSchemeText('');
+            setSchemeError(null);
+        } catch (e) {
+            setSchemeError(`scheme not saved: ${e.message}`);
+        }
+    };
+
+    const removeScheme = async () => {
+        try {
+            await clearCustomScheme();
+            setSavedScheme(null);
+            setSchemeError(null);
+        } catch (e) {
+            setSchemeError(`couldn't remove the scheme: ${e.message}`);
+        }
+    };
+
+    const pickFile = async () => {
+        try {
+            const res = await DocumentPicker.getDocumentAsync({
+                type: ['application/json', 'text/*', 'application/octet-stream'],
+                copyToCacheDirectory: true,
+            });
+            if (res.canceled || !res.assets?.length) return;
+            const file = res.assets[0];
+            const content = await FileSystem.readAsStringAsync(file.uri);
+            setText(content);
+            setFilename(file.name || '');
+            setFormat(null);
+            setColumns(null);
+            setHasHeader(undefined);
+            setImportError(null);
+        } catch (e) {
+            setImportError(`couldn't read file: ${e.message}`);
+        }
+    };
+
+    const saveImport = async () => {
+        const result = parsed?.result;
+        if (!result?.items.length) return;
+        try {
+            await saveCustomSet({ ...result, label: label.trim() || result.label }, { strict });
+        } catch (e) {
+            setImportError(`import failed: ${e.message}`);
+            return;
+        }
+        setImportError(null);
+        setText('');
+        setFilename('');
+        setLabel('');
+        setColumns(null);
+        setSets(listSets());
+    };
+
+    const share = (id) => {
+        const set = sets.find((s) => s.id === id);
+        Share.share({ title: set?.label ?? id, message: exportSet(id) }).catch(() => {});
+    };
+
+    const confirmDelete = async (set) => {
+        if (!(await confirmAction('Delete set?', `${set.label} (${set.size} words)`))) return;
+        try {
+            await deleteCustomSet(set.id);
+            setSetsError(null);
+        } catch (e) {
+            setSetsError(`couldn't delete ${set.label}: ${e.message}`);
+        }
+        setSets(listSets());
+    };
+
+    const commitRename = async () => {
+        try {
+            if (renaming && renameText.trim()) await renameCustomSet(renaming, renameText.trim());
+            setSetsError(null);
+        } catch (e) {
+            setSetsError(`couldn't rename: ${e.message}`);
+        }
+        setRenaming(null);
+        setSets(listSets());
+    };
+
+    const setColumn = (field, index) => {
+        const base = columns || { surface: 0, reading: 1, romaji: 2 };
+        const unset = OPTIONAL_FIELDS.includes(field) && base[field] === index;
+        setColumns({ ...base, [field]: unset ? undefined : index });
+    };
+
+    const Pill = ({ active, onPress, children }) => (
+        <Pressable onPress={onPress} style={[styles.pill, active && styles.pillActive]}>
+            <Text style={styles.pillText}>{children}</Text>
+        </Pressable>
+    );
+
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {/* sets */}
+            <Text style={styles.heading}>sets</Text>
+            {setsError && <Text style={styles.error}>{setsError}</Text>}
+            {sets.map((s) => (
+                <View key={s.id} style={styles.card}>
+                    {renaming === s.id ? (
+                        <TextInput
+                            value={renameText}
+                            onChangeText={setRenameText}
+                            onSubmitEditing={commitRename}
+                            onBlur={commitRename}
+                            autoFocus
+                            style={styles.input}
+                        />
+                    ) : (
+                        <Text style={styles.title}>{s.label}</Text>
+                    )}
+                    <Text style={styles.meta}>
+                        {s.size} {s.kind}{s.custom ? ' · imported' : ''}{s.description ? ` · ${s.description}` : ''}
+                    </Text>
+                    <View style={styles.row}>
+                        <Pill onPress={() => share(s.id)}>export</Pill>
+                        {s.custom && (
+                            <>
+                                <Pill onPress={() => { setRenaming(s.id); setRenameText(s.label); }}>rename</Pill>
+                                <Pill onPress={() => confirmDelete(s)}>
+                                    <Text style={{ color: colors.danger }}>delete</Text>
+                                </Pill>
+                            </>
+                        )}
+                    </View>
+                </View>
+            ))}
+
+            {/* import */}
+            <Text style={styles.heading}>import</Text>
+            <View style={styles.card}>
+                <View style={styles.row}>
+                    <Pill onPress={pickFile}>pick file…</Pill>
+                    {filename ? <Text style={styles.meta}>{filename}</Text> : null}
+                </View>
+                <TextInput
+                    value={text}
+                    onChangeText={(t) => { setText(t); setFilename(''); }}
+                    placeholder="…or paste JSON, CSV/TSV or an Anki text export"
+                    placeholderTextColor={colors.subtext}
+                    multiline
+                    autoCorrect={false}
+                    autoCapitalize="none"
+                    style={[styles.input, styles.paste]}
+                />
+
+                {text ? (
+                    <>
+                        <View style={styles.row}>
+                            <Pill active={!format} onPress={() => setFormat(null)}>auto ({detectFormat(text, filename)})</Pill>
+                            {FORMATS.map((f) => (
+                                <Pill key={f} active={format === f} onPress={() => setFormat(f)}>{f}</Pill>
+                            ))}
+                        </View>
+
+                        {/* column mapping for spreadsheets */}
+                        {preview.length > 0 && (
+                            <>
+                                <Text style={styles.meta}>first row: {preview[0].join(' | ')}</Text>
+                                <View style={styles.row}>
+                                    <Pill active={hasHeader === true} onPress={() => setHasHeader(hasHeader === true ? undefined : true)}>has header</Pill>
+                                    <Pill active={hasHeader === false} onPress={() => setHasHeader(hasHeader === false ? undefined : false)}>no header</Pill>
+                                </View>
+                                {FIELDS.map((field) => (
+                                    <View key={field} style={styles.row}>
+                                        <Text style={[styles.meta, styles.fieldLabel]}>{field}</Text>
+                                        {preview[0].map((cell, i) => (
+                                            <Pill
+                                                key={i}
+                                                active={columns?.[field] === i}
+                                                onPress={() => setColumn(field, i)}
+                                            >
+                                                {i + 1}
+                                            </Pill>
+                                        ))}
+                                    </View>
+                                ))}
+                            </>
+                        )}
+
+                        {parsed?.error ? (
+                            <Text style={[styles.meta, { color: colors.danger }]}>{parsed.error}</Text>
+                        ) : parsed?.result ? (
+                            <Text style={styles.meta}>
+                                {parsed.result.items.length} words
+                                {parsed.result.skipped ? `, ${parsed.result.skipped} rows skipped` : ''}
+                                {parsed.result.items[0]
+                                    ? ` · e.g. ${parsed.result.items[0].surface} (${parsed.result.items[0].reading})`
+                                    : ''}
+                            </Text>
+                        ) : null}
+
+                        {/* validation */}
+                        {check && (
+                            <>
+                                <View style={styles.row}>
+                                    <Pill active={strict} onPress={() => setStrict((v) => !v)}>
+                                        strict: {strict ? 'reject set on any problem' : 'skip bad words'}
+                                    </Pill>
+                                </View>
+                                {check.problems.slice(0, MAX_PROBLEMS_SHOWN).map((p, i) => (
+                                    <Text
+                                        key={i}
+                                        style={[styles.meta, { color: p.severity === 'error' ? colors.danger : colors.subtext }]}
+                                    >
+                                        {formatProblem(p)}
+                                    </Text>
+                                ))}
+                                {check.problems.length > MAX_PROBLEMS_SHOWN && (
+                                    <Text style={styles.meta}>…and {check.problems.length - MAX_PROBLEMS_SHOWN} more</Text>
+                                )}
+                                <Text style={styles.meta}>
+                                    {check.ok
+                                        ? `${check.items.length} words will be imported`
+                                        : 'set will be rejected'}
+                                </Text>
+                            </>
+                        )}
+
+                        <TextInput
+                            value={label}
+                            onChangeText={setLabel}
+                            placeholder={parsed?.result?.label || 'set name'}
+                            placeholderTextColor={colors.subtext}
+                            style={styles.input}
+                        />
+                        <View style={styles.row}>
+                            <Pill active onPress={saveImport}>save set</Pill>
+                        </View>
+                    </>
+                ) : null}
+                {importError && <Text style={styles.error}>{importError}</Text>}
+            </View>
+
+            {/* custom romanization */}
+            <Text style={styles.heading}>romanization</Text>
+            <View style={styles.card}>
+                <Text style={styles.meta}>
+                    {savedScheme
+                        ? `custom scheme: ${savedScheme.label} (${Object.keys(savedScheme.table).length} keys)`
+                        : `no custom scheme · built-in: ${['permissive', 'hepburn', 'kunrei'].map((id) => getScheme(id).label).join(', ')}`}
+                </Text>
+                <TextInput
+                    value={schemeText}
+                    onChangeText={setSchemeText}
+                    placeholder={SCHEME_EXAMPLE}
+                    placeholderTextColor={colors.subtext}
+                    multiline
+                    autoCorrect={false}
+                    autoCapitalize="none"
+                    style={[styles.input, styles.paste]}
+                />
+                {schemeDraft?.error ? (
+                    <Text style={[styles.meta, { color: colors.danger }]}>{schemeDraft.error}</Text>
+                ) : schemeDraft?.scheme ? (
+                    <Text style={styles.meta}>
+                        {Object.keys(schemeDraft.scheme.table).length} keys
+                        {schemeDraft.scheme.missing.length ? ` · can't type: ${schemeDraft.scheme.missing.join(' ')}` : ''}
+                    </Text>
+                ) : null}
+                <View style={styles.row}>
+                    {schemeDraft?.scheme && <Pill active onPress={saveScheme}>save scheme</Pill>}
+                    {savedScheme && (
+                        <Pill onPress={removeScheme}>
+                            <Text style={{ color: colors.danger }}>remove custom</Text>
+                        </Pill>
+                    )}
+                </View>
+                {schemeError && <Text style={styles.error}>{schemeError}</Text>}
+            </View>
+        </ScrollView>
+    );
+}
+
+const makeStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.bg,
+    },
+    content: {
+        padding: 16,
+    },
+    heading: {
+        color: colors.subtext,
+        fontSize: 16,
+        fontWeight: '600',
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    card: {
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+    },
+    title: {
+        color: colors.text,
+        fontSize: 18,
+        fontWeight: '600',
+    },
+    meta: {
+        color: colors.subtext,
+        fontSize: 13,
+        marginTop: 4,
+    },
+    error: {
+        color: colors.danger,
+        fontSize: 13,
+        marginTop: 4,
+    },
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    fieldLabel: {
+        width: 64,
+        marginTop: 0,
+    },
+    input: {
+        color: colors.text,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 10,
+        paddingHorizontal: 10,
+        paddingVertical: 8,
+        marginTop: 8,
+        fontSize: 15,
+    },
+    paste: {
+        minHeight: 100,
+        textAlignVertical: 'top',
+    },
+    pill: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+        marginBottom: 4,
+    },
+    pillActive: {
+        borderColor: colors.accent,
+    },
+    pillText: {
+        color: colors.text,
+        fontSize: 14,
+    },
+});
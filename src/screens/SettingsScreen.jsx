@@ -0,0 +1,297 @@
+import { useCallback, useState } from 'react';
+import { View, Text, TextInput, Pressable, ScrollView, StyleSheet } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+
+import FuriganaWord from '../components/FuriganaWord';
+import SetPicker from '../components/SetPicker';
+import { getSet } from '../data';
+import { listSchemes } from '../utils/romanize';
+import { loadCustomSets } from '../storage/customSets';
+import { loadCustomScheme } from '../storage/customScheme';
+import { DEFAULT_SETTINGS, LIMITS, loadSettings, saveSettings, resetSettings } from '../storage/settings';
+import { THEMES, ACCENTS, isHexColor, useTheme, useThemedStyles } from '../components/ThemeProvider';
+
+// quick picks; any other value can be typed in
+const DURATIONS = [15, 30, 60, 120];
+const WORD_TARGETS = [10, 25, 50, 100];
+const FONT_SIZES = { S: 32, M: 40, L: 48, XL: 56 };
+
+export default function SettingsScreen() {
+    const { colors, setPrefs } = useTheme();
+    const styles = useThemedStyles(makeStyles);
+    const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+    const [durationText, setDurationText] = useState('');
+    const [wordsText, setWordsText] = useState('');
+    const [accentText, setAccentText] = useState('');
+    const [pickingSet, setPickingSet] = useState(false);
+    const [error, setError] = useState(null);
+
+    const show = (s) => {
+        setSettings(s);
+        setAccentText(s.accent ?? '');
+        setDurationText(String(s.durationSec));
+        setWordsText(s.wordTarget ? String(s.wordTarget) : '');
+    };
+
+    useFocusEffect(useCallback(() => {
+        Promise.all([loadCustomSets(), loadCustomScheme()])
+            .catch(() => {})
+            .then(loadSettings)
+            .then(show);
+    }, []));
+
+    // every change is saved right away; theme changes also go live
+    const update = (patch) => {
+        setSettings((s) => ({ ...s, ...patch }));
+        if ('theme' in patch || 'accent' in patch) setPrefs(patch);
+        saveSettings(patch)
+            .then((s) => { show(s); setError(null); })
+            .catch((e) => setError(`couldn't save settings: ${e.message}`));
+    };
+    const reset = () => resetSettings()
+        .then((s) => {
+            setPrefs({ theme: s.theme, accent: s.accent });
+            show(s);
+            setError(null);
+        })
+        .catch((e) => setError(`couldn't reset settings: ${e.message}`));
+
+    const Pill = ({ active, onPress, children }) => (
+        <Pressable onPress={onPress} style={[styles.pill, active && styles.pillActive]}>
+            <Text style={styles.pillText}>{children}</Text>
+        </Pressable>
+    );
+
+    const Toggle = ({ value, onChange, children }) => (
+        <Pill active={value} onPress={() => onChange(!value)}>{children}: {value ? 'on' : 'off'}</Pill>
+    );
+
+    return (
+        <ScrollView style={styles.container} contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            {error && <Text style={styles.error}>{error}</Text>}
+
+            {/* test length */}
+            <Text style={styles.heading}>test</Text>
+            <View style={styles.card}>
+                <View style={styles.row}>
+                    <Pill active={settings.testMode === 'time'} onPress={() => update({ testMode: 'time' })}>time</Pill>
+                    <Pill active={settings.testMode === 'words'} onPress={() => update({ testMode: 'words' })}>words</Pill>
+                </View>
+
+                <Text style={styles.meta}>duration (seconds)</Text>
+                <View style={styles.row}>
+                    {DURATIONS.map((n) => (
+                        <Pill key={n} active={settings.durationSec === n} onPress={() => update({ durationSec: n })}>{n}s</Pill>
+                    ))}
+                    <TextInput
+                        value={durationText}
+                        onChangeText={setDurationText}
+                        onEndEditing={() => update({ durationSec: Number(durationText) || settings.durationSec })}
+                        keyboardType="number-pad"
+                        placeholder={`${LIMITS.durationSec[0]}–${LIMITS.durationSec[1]}`}
+                        placeholderTextColor={colors.subtext}
+                        style={[styles.input, styles.number]}
+                    />
+                </View>
+
+                <Text style={styles.meta}>word count</Text>
+                <View style={styles.row}>
+                    {WORD_TARGETS.map((n) => (
+                        <Pill key={n} active={settings.wordTarget === n} onPress={() => update({ wordTarget: n })}>{n}</Pill>
+                    ))}
+                    <Pill active={settings.wordTarget === null} onPress={() => update({ wordTarget: null })}>∞</Pill>
+                    <TextInput
+                        value={wordsText}
+                        onChangeText={setWordsText}
+                        onEndEditing={() => update({ wordTarget: Number(wordsText) || settings.wordTarget })}
+                        keyboardType="number-pad"
+                        placeholder={`${LIMITS.wordTarget[0]}–${LIMITS.wordTarget[1]}`}
+                        placeholderTextColor={colors.subtext}
+                        style={[styles.input, styles.number]}
+                    />
+                </View>
+            </View>
+
+            {/* words */}
+            <Text style={styles.heading}>words</Text>
+            <View style={styles.card}>
+                <Text style={styles.meta}>default set</Text>
+                <View style={styles.row}>
+                    <Pill active onPress={() => setPickingSet(true)}>{getSet(settings.setId).label} ▾</Pill>
+                </View>
+                <Text style={styles.meta}>source</Text>
+                <View style={styles.row}>
+                    <Pill active={settings.source === 'local'} onPress={() => update({ source: 'local' })}>local</Pill>
+                    <Pill active={settings.source === 'jisho'} onPress={() => update({ source: 'jisho' })}>jisho</Pill>
+                </View>
+                <Text style={styles.meta}>endless runs (∞ words, time) reshuffle the set as they go</Text>
+                <View style={styles.row}>
+                    <Toggle value={settings.weightByFreq} onChange={(v) => update({ weightByFreq: v })}>favor common words</Toggle>
+                </View>
+            </View>
+
+            {/* input */}
+            <Text style={styles.heading}>input</Text>
+            <View style={styles.card}>
+                <View style={styles.row}>
+                    {['romaji', 'kana', 'surface'].map((m) => (
+                        <Pill key={m} active={settings.inputMode === m} onPress={() => update({ inputMode: m })}>{m}</Pill>
+                    ))}
+                </View>
+                <Text style={styles.meta}>romanization</Text>
+                <View style={styles.row}>
+                    {listSchemes().map((sc) => (
+                        <Pill key={sc.id} active={settings.scheme === sc.id} onPress={() => update({ scheme: sc.id })}>{sc.label}</Pill>
+                    ))}
+                </View>
+                <View style={styles.row}>
+                    <Toggle value={settings.showRomaji} onChange={(v) => update({ showRomaji: v })}>romaji hint</Toggle>
+                    <Toggle value={settings.showFurigana} onChange={(v) => update({ showFurigana: v })}>furigana</Toggle>
+                    <Toggle value={settings.showGhost} onChange={(v) => update({ showGhost: v })}>PB ghost</Toggle>
+                </View>
+            </View>
+
+            {/* display */}
+            <Text style={styles.heading}>display</Text>
+            <View style={styles.card}>
+                <Text style={styles.meta}>font size</Text>
+                <View style={styles.row}>
+                    {Object.entries(FONT_SIZES).map(([label, size]) => (
+                        <Pill key={label} active={settings.fontSize === size} onPress={() => update({ fontSize: size })}>{label}</Pill>
+                    ))}
+                </View>
+
+                <Text style={styles.meta}>theme</Text>
+                <View style={styles.row}>
+                    <Pill active={settings.theme === 'system'} onPress={() => update({ theme: 'system' })}>system</Pill>
+                    {Object.entries(THEMES).map(([name, t]) => (
+                        <Pill key={name} active={settings.theme === name} onPress={() => update({ theme: name })}>{t.label}</Pill>
+                    ))}
+                </View>
+
+                <Text style={styles.meta}>accent</Text>
+                <View style={styles.row}>
+                    <Pill active={!settings.accent} onPress={() => update({ accent: null })}>theme</Pill>
+                    {ACCENTS.map((c) => (
+                        <Pressable
+                            key={c}
+                            onPress={() => update({ accent: c })}
+                            style={[styles.swatch, { backgroundColor: c }, settings.accent === c && styles.swatchActive]}
+                        />
+                    ))}
+                    <TextInput
+                        value={accentText}
+                        onChangeText={setAccentText}
+                        onEndEditing={() => isHexColor(accentText) && update({ accent: accentText })}
+                        autoCapitalize="none"
+                        autoCorrect={false}
+                        placeholder="#rrggbb"
+                        placeholderTextColor={colors.subtext}
+                        style={[styles.input, styles.number]}
+                    />
+                </View>
+
+                <View style={styles.preview}>
+                    <FuriganaWord surface="日本語" reading="にほんご" furigana={settings.showFurigana} fontSize={settings.fontSize} active />
+                </View>
+            </View>
+
+            <View style={styles.row}>
+                <Pill onPress={reset}>
+                    <Text style={{ color: colors.danger }}>reset to defaults</Text>
+                </Pill>
+            </View>
+
+            <SetPicker
+                visible={pickingSet}
+                selectedId={settings.setId}
+                onSelect={(id) => { setPickingSet(false); update({ setId: id }); }}
+                onClose={() => setPickingSet(false)}
+            />
+        </ScrollView>
+    );
+}
+
+const makeStyles = (colors) => StyleSheet.create({
+    container: {
+        flex: 1,
+        backgroundColor: colors.bg,
+    },
+    content: {
+        padding: 16,
+    },
+    heading: {
+        color: colors.subtext,
+        fontSize: 16,
+        fontWeight: '600',
+        marginTop: 8,
+        marginBottom: 8,
+    },
+    card: {
+        backgroundColor: colors.card,
+        borderRadius: 12,
+        padding: 14,
+        marginBottom: 10,
+    },
+    meta: {
+        color: colors.subtext,
+        fontSize: 13,
+        marginTop: 8,
+    },
+    error: {
+        color: colors.danger,
+        fontSize: 13,
+        marginBottom: 8,
+    },
+    row: {
+        flexDirection: 'row',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        marginTop: 8,
+    },
+    input: {
+        color: colors.text,
+        borderWidth: 1,
+        borderColor: colors.border,
+        borderRadius: 10,
+        paddingHorizontal: 10,
+        paddingVertical: 6,
+        fontSize: 14,
+    },
+    number: {
+        width: 80,
+        marginBottom: 4,
+    },
+    swatch: {
+        width: 28,
+        height: 28,
+        borderRadius: 14,
+        borderWidth: 2,
+        borderColor: 'transparent',
+        marginRight: 8,
+        marginBottom: 4,
+    },
+    swatchActive: {
+        borderColor: colors.strong,
+    },
+    preview: {
+        alignItems: 'center',
+        marginTop: 12,
+    },
+    pill: {
+        paddingVertical: 6,
+        paddingHorizontal: 12,
+        borderRadius: 999,
+        borderWidth: 1,
+        borderColor: colors.border,
+        marginRight: 8,
+        marginBottom: 4,
+    },
+    pillActive: {
+        borderColor: colors.accent,
+    },
+    pillText: {
+        color: colors.text,
+        fontSize: 14,
+    },
+});
@@ -0,0 +1,72 @@
+import { versionedBlob } from './blob';
+
+/**
+ * Personal bests, one per test configuration, under 'jptyping:bests' (see ./blob.js):
+ *   { version: 2, bests: { [configKey]: { kpm, accuracy, at, pace: [[t, kana], …] } } }
+ * `kpm` is net kana per minute; `pace` is the best run's kana count over time
+ * (seconds), for the ghost marker.
+ */
+export const BESTS_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version-n blob to version n + 1
+const MIGRATIONS = {
+    // net wpm (5 kana a word, 1 word per error) -> net kana/min. wpm × 5 weighs
+    // each error as 5 kana instead of 1, so an old best reads a little low
+    1: (data) => ({
+        version: 2,
+        bests: Object.fromEntries(Object.entries(data.bests ?? {}).map(([key, { wpm, ...best }]) => (
+            [key, { ...best, kpm: best.kpm ?? (wpm ?? 0) * 5 }]
+        ))),
+    }),
+};
+
+const blob = versionedBlob('jptyping:bests', {
+    version: BESTS_VERSION,
+    field: 'bests',
+    empty: () => ({}),
+    migrations: MIGRATIONS,
+});
+
+/** 'time:30s|N5|local|romaji' or 'words:25|N4?pos=verb|jisho|kana' */
+export function configKey({ mode, durationSec, targetWords, setId, source, inputMode }) {
+    const length = mode === 'time' ? `${durationSec}s` : `${targetWords ?? 'unlimited'}`;
+    return [`${mode}:${length}`, setId, source, inputMode].join('|');
+}
+
+/** Does `run` ({ kpm, accuracy }) beat `best`? Higher kana/min wins, then accuracy. */
+export function beats(run, best) {
+    if (!best) return true;
+    return run.kpm > best.kpm || (run.kpm === best.kpm && (run.accuracy ?? 0) > (best.accuracy ?? 0));
+}
+
+/** Kana the best run had typed `sec` seconds in (linear between samples). */
+export function paceAt(pace, sec) {
+    if (!Array.isArray(pace) || !pace.length) return 0;
+    let prev = [0, 0];
+    for (const point of pace) {
+        if (point[0] >= sec) {
+            const span = point[0] - prev[0];
+            return span > 0 ? prev[1] + ((sec - prev[0]) / span) * (point[1] - prev[1]) : point[1];
+        }
+        prev = point;
+    }
+    return prev[1];
+}
+
+/** Every best by config key ({} when they can't be read: the meters just stay empty). */
+export async function loadBests() {
+    return blob.read().catch(() => ({}));
+}
+
+/** Store `entry` as the best for `key` if it beats the current one. Returns whether it did. */
+export async function saveBest(key, entry) {
+    const bests = await blob.read();
+    if (!beats(entry, bests[key])) return false;
+    bests[key] = entry;
+    await blob.write(bests);
+    return true;
+}
+
+export async function clearBests() {
+    await blob.clear();
+}
@@ -0,0 +1,69 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Every storage module keeps its data under one AsyncStorage key, as a
+ * versioned JSON blob: { version, [field]: value }.
+ *
+ *   const blob = versionedBlob('jptyping:bests', { version: 1, field: 'bests', empty: () => ({}) });
+ *   await blob.read();       // the value, or empty() when nothing is saved yet
+ *   await blob.write(value);
+ *
+ * read() doesn't guess. When storage can't be read it throws, so a
+ * read-modify-write fails instead of saving over data it never saw; code that
+ * only shows the data catches and falls back to defaults.
+ *
+ * Older blobs are upgraded through `migrations[n]` (version n -> n + 1; a blob
+ * without a version counts as 0) and saved back once. A blob that can't be
+ * parsed or upgraded is copied to '<key>:unreadable' and the value starts over,
+ * so it's set aside rather than lost. A blob from a newer build throws: this
+ * build mustn't overwrite it.
+ */
+export function versionedBlob(key, { version, field, empty, migrations = {} }) {
+    const write = (value) => AsyncStorage.setItem(key, JSON.stringify({ version, [field]: value }));
+
+    // the blob at the current version, or null when it can't get there
+    const upgrade = (data, from) => {
+        let out = data;
+        let v = from;
+        try {
+            while (v < version) {
+                if (!migrations[v]) return null;
+                out = migrations[v](out);
+                v = out?.version;
+                if (!Number.isInteger(v)) return null;
+            }
+        } catch {
+            return null;
+        }
+        return v === version && out && field in out ? out : null;
+    };
+
+    const read = async () => {
+        // a failed read throws through
+        const raw = await AsyncStorage.getItem(key);
+        if (raw == null) return empty();
+
+        let data;
+        try {
+            data = JSON.parse(raw);
+        } catch {
+            data = undefined;
+        }
+        const from = Number.isInteger(data?.version) ? data.version : 0;
+        if (from > version) throw new Error(`${key} was saved by a newer version of the app`);
+
+        const current = data === undefined ? null : upgrade(data, from);
+        if (!current) {
+            await AsyncStorage.setItem(`${key}:unreadable`, raw);
+            return empty();
+        }
+        if (from < version) await write(current[field]);
+        return current[field];
+    };
+
+    return {
+        read,
+        write,
+        clear: () => AsyncStorage.removeItem(key),
+    };
+}
@@ -0,0 +1,36 @@
+import { versionedBlob } from './blob';
+import { compileScheme, setCustomScheme } from '../utils/romanize';
+
+/**
+ * The user-defined romanization scheme, under 'jptyping:customScheme' (see ./blob.js):
+ *   { version: 1, scheme: { label, base, exclude, add } | { label, table } | null }
+ * Reads and writes also register it with romanize.js, where it shows up as
+ * the 'custom' scheme next to the built-in ones.
+ */
+export const CUSTOM_SCHEME_VERSION = 1;
+
+const blob = versionedBlob('jptyping:customScheme', { version: CUSTOM_SCHEME_VERSION, field: 'scheme', empty: () => null });
+
+/** Load the saved scheme into the registry. Returns it compiled, or null (also when it can't be read). */
+export async function loadCustomScheme() {
+    const def = await blob.read().catch(() => null);
+    try {
+        return setCustomScheme(def);
+    } catch {
+        // saved by an older build with different rules: ignore rather than block the app
+        return setCustomScheme(null);
+    }
+}
+
+/** Validate (throws on malformed tables), save and register. Returns it compiled. */
+export async function saveCustomScheme(def) {
+    const compiled = compileScheme(def);
+    await blob.write(def);
+    setCustomScheme(def);
+    return compiled;
+}
+
+export async function clearCustomScheme() {
+    await blob.clear();
+    setCustomScheme(null);
+}
@@ -0,0 +1,75 @@
+import { versionedBlob } from './blob';
+import { setCustomSets } from '../data';
+import { validateSet } from '../data/validate';
+
+/**
+ * Imported word sets, under 'jptyping:customSets' (see ./blob.js):
+ *   { version: 2, sets: { [id]: { id, label, description, items, importedAt } } }
+ * Every read/write also refreshes the in-memory registry in src/data, so
+ * listSets()/getSet() see imported sets next to the bundled ones.
+ * Items are validated once, on save, so a word that can't be finished never
+ * reaches a run; version 1 sets (from before the validator) are validated
+ * once by their migration.
+ */
+export const CUSTOM_SETS_VERSION = 2;
+
+export const CUSTOM_PREFIX = 'custom-';
+
+const MIGRATIONS = {
+    1: (data) => ({
+        version: 2,
+        sets: Object.fromEntries(
+            Object.entries(data.sets ?? {}).map(([id, set]) => [id, { ...set, items: validateSet(set).items }])
+        ),
+    }),
+};
+
+const blob = versionedBlob('jptyping:customSets', {
+    version: CUSTOM_SETS_VERSION,
+    field: 'sets',
+    empty: () => ({}),
+    migrations: MIGRATIONS,
+});
+
+async function store(sets) {
+    await blob.write(sets);
+    setCustomSets(sets);
+}
+
+/** Load imported sets into the registry. Returns them as a list; throws when they can't be read. */
+export async function loadCustomSets() {
+    const sets = await blob.read();
+    setCustomSets(sets);
+    return Object.values(sets);
+}
+
+/**
+ * Save a parsed set ({ label, description, items }).
+ * Invalid items are dropped; with `strict`, any problem rejects the set (throws).
+ * Returns { set, problems }.
+ */
+export async function saveCustomSet({ label, description = '', items }, { strict = false } = {}) {
+    const { ok, items: valid, problems } = validateSet({ items }, { strict });
+    if (!ok) throw new Error(`set rejected: ${problems.length} problem${problems.length === 1 ? '' : 's'}`);
+    if (!valid.length) throw new Error('set has no usable words');
+
+    const sets = await blob.read();
+    const id = `${CUSTOM_PREFIX}${Date.now().toString(36)}`;
+    const set = { id, label: label || id, description, items: valid, importedAt: Date.now() };
+    sets[id] = set;
+    await store(sets);
+    return { set, problems };
+}
+
+export async function renameCustomSet(id, label) {
+    const sets = await blob.read();
+    if (!sets[id]) return;
+    sets[id] = { ...sets[id], label };
+    await store(sets);
+}
+
+export async function deleteCustomSet(id) {
+    const sets = await blob.read();
+    delete sets[id];
+    await store(sets);
+}
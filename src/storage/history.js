@@ -0,0 +1,109 @@
+import { versionedBlob } from './blob';
+
+/**
+ * Completed runs, under 'jptyping:history' (see ./blob.js):
+ *   { version: 3, runs: [{ id, at, mode, source, setId, inputMode, durationSec,
+ *                          targetWords, kpm, wpm, accuracy, timeSec, completedWords,
+ *                          words: [{ surface, reading }], … }] }
+ * Newest run first; `kpm` is net kana per minute, `wpm` net WPM. Only a summary of each run is
+ * kept (SUMMARY_FIELDS): the per-word breakdown and the speed series would
+ * outgrow a single storage row.
+ * Keystroke recordings live in ./recordings.js under the same id.
+ * Writes are queued, so two saves close together can't drop one another.
+ * Bump HISTORY_VERSION and add a migration when the shape changes.
+ */
+export const HISTORY_VERSION = 3;
+
+// keep storage bounded; oldest runs fall off
+const MAX_RUNS = 500;
+
+// what a run keeps: its settings, headline numbers and words
+const SUMMARY_FIELDS = [
+    'id', 'at', 'mode', 'source', 'setId', 'inputMode', 'scheme', 'review', 'recall', 'recalled',
+    'durationSec', 'targetWords', 'challenge', 'weighted',
+    'kpm', 'rawKpm', 'wpm', 'rawWpm', 'accuracy', 'keysPerMinute', 'keysPerKana',
+    'kana', 'keystrokes', 'errors', 'timeSec', 'completedWords', 'words',
+];
+
+// the version-2 summary, frozen: a migration must keep what its version kept,
+// whatever SUMMARY_FIELDS has become since
+const V2_FIELDS = [
+    'id', 'at', 'mode', 'source', 'setId', 'inputMode', 'scheme', 'review', 'recall', 'recalled',
+    'durationSec', 'targetWords', 'challenge', 'weighted',
+    'wpm', 'rawWpm', 'accuracy', 'kpm', 'keysPerMinute', 'keysPerKana',
+    'kana', 'keystrokes', 'errors', 'timeSec', 'completedWords', 'words',
+];
+
+const pick = (fields) => (run) => Object.fromEntries(
+    fields.filter((k) => run[k] !== undefined).map((k) => [k, run[k]])
+);
+const summarize = pick(SUMMARY_FIELDS);
+
+function toKanaPerMinute(run) {
+    const { kana, errors, timeSec, wpm } = run;
+    const counted = [kana, errors, timeSec].every(Number.isFinite) && timeSec > 0;
+    return {
+        ...run,
+        rawKpm: run.kpm,
+        // wpm × 5 weighs each error as 5 kana: only a fallback for runs without counts
+        kpm: counted ? Math.round(Math.max(0, kana - errors) / (timeSec / 60)) : (wpm ?? 0) * 5,
+    };
+}
+
+// MIGRATIONS[n] upgrades a version-n blob to version n + 1
+const MIGRATIONS = {
+    // unversioned: a bare array of runs
+    0: (data) => ({ version: 1, runs: Array.isArray(data) ? data : [] }),
+    // full Results payloads -> summaries
+    1: (data) => ({ version: 2, runs: (data.runs ?? []).map(pick(V2_FIELDS)) }),
+    // net kana/min joins wpm as the headline (the old `kpm` was raw kana/min)
+    2: (data) => ({ version: 3, runs: (data.runs ?? []).map(toKanaPerMinute) }),
+};
+
+const blob = versionedBlob('jptyping:history', {
+    version: HISTORY_VERSION,
+    field: 'runs',
+    empty: () => [],
+    migrations: MIGRATIONS,
+});
+
+let queue = Promise.resolve();
+
+// run `fn` after every write queued before it; a failed one doesn't block the rest
+function queued(fn) {
+    const run = queue.then(fn);
+    queue = run.catch(() => {});
+    return run;
+}
+
+/** Save a finished run (the Results payload) as a summary. Returns the stored summary. */
+export function saveRun(payload) {
+    return queued(async () => {
+        const runs = await blob.read();
+        const run = summarize({
+            ...payload,
+            words: payload.words?.map(({ surface, reading }) => ({ surface, reading })),
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            at: Date.now(),
+        });
+        await blob.write([run, ...runs].slice(0, MAX_RUNS));
+        return run;
+    });
+}
+
+/** Runs, newest first; filter by setId and/or mode ('time' | 'words'). Throws when history can't be read. */
+export async function listRuns({ setId, mode } = {}) {
+    const runs = await queue.then(blob.read);
+    return runs.filter((r) => (!setId || r.setId === setId) && (!mode || r.mode === mode));
+}
+
+export function deleteRun(id) {
+    return queued(async () => {
+        const runs = await blob.read();
+        await blob.write(runs.filter((r) => r.id !== id));
+    });
+}
+
+export function clearHistory() {
+    return queued(() => blob.write([]));
+}
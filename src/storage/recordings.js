@@ -0,0 +1,53 @@
+import { versionedBlob } from './blob';
+
+/**
+ * Keystroke recordings of recent runs, under 'jptyping:recordings' (see ./blob.js):
+ *   { version: 1, recordings: { [runId]: { version, inputMode, scheme, words, events, at } } }
+ * Kept apart from the run history because they're much bigger; only the
+ * newest MAX_RECORDINGS survive, older runs keep their stats without a replay.
+ *
+ * A recording (also what the Results payload carries as `recording`):
+ *   words:  [{ surface, reading, ruby?, segments? }] in the order they came up
+ *   events: [{ t, w, raw, kana, pending?, matched, miss? }] one per input change:
+ *           ms since the first key, word index, the input buffer, the kana it
+ *           converted to (+ romaji still pending), reading chars matched, and
+ *           whether a key was rejected as a mistake
+ */
+export const RECORDINGS_VERSION = 1;
+
+const MAX_RECORDINGS = 30;
+
+const blob = versionedBlob('jptyping:recordings', {
+    version: RECORDINGS_VERSION,
+    field: 'recordings',
+    empty: () => ({}),
+});
+
+export async function saveRecording(runId, recording) {
+    if (!recording?.events?.length) return;
+    const recordings = await blob.read();
+    recordings[runId] = { ...recording, at: Date.now() };
+    const newest = Object.entries(recordings)
+        .sort((a, b) => b[1].at - a[1].at)
+        .slice(0, MAX_RECORDINGS);
+    await blob.write(Object.fromEntries(newest));
+}
+
+/** The recording of a run, or null when it was never made, has been pruned or can't be read. */
+export async function loadRecording(runId) {
+    const recordings = await blob.read().catch(() => ({}));
+    return recordings[runId] ?? null;
+}
+
+export async function deleteRecording(runId) {
+    const recordings = await blob.read();
+    if (!(runId in recordings)) return;
+    delete recordings[runId];
+    await blob.write(recordings);
+}
+
+/** A run (the Results payload, `recording` included) as shareable JSON: { run, recording }. */
+export function exportRun(run) {
+    const { recording = null, ...summary } = run ?? {};
+    return JSON.stringify({ run: summary, recording }, null, 2);
+}
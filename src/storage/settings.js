@@ -0,0 +1,86 @@
+import { versionedBlob } from './blob';
+import { DEFAULT_SET_ID } from '../data';
+import { DEFAULT_SCHEME } from '../utils/romanize';
+
+/**
+ * User preferences, under 'jptyping:settings' (see ./blob.js):
+ *   { version: 1, settings: { testMode, durationSec, wordTarget, setId, source,
+ *                             inputMode, scheme, showRomaji, showFurigana, fontSize,
+ *                             showGhost, weightByFreq, theme, accent } }
+ * Practice starts from these; `wordTarget: null` means unlimited.
+ * Anything missing or out of range falls back to DEFAULT_SETTINGS.
+ */
+export const SETTINGS_VERSION = 1;
+
+const blob = versionedBlob('jptyping:settings', { version: SETTINGS_VERSION, field: 'settings', empty: () => null });
+
+export const DEFAULT_SETTINGS = {
+    testMode: 'words', // 'time' | 'words'
+    durationSec: 30,
+    wordTarget: 10,
+    setId: DEFAULT_SET_ID,
+    source: 'local', // 'local' | 'jisho'
+    inputMode: 'romaji', // 'romaji' | 'kana' | 'surface'
+    scheme: DEFAULT_SCHEME,
+    showRomaji: false,
+    showFurigana: true,
+    showGhost: false, // personal-best pace marker on the conveyor
+    weightByFreq: false, // endless runs draw common words more often
+    fontSize: 40, // the practice word; sentences and furigana scale from it
+    theme: 'system', // 'system' | 'dark' | 'light' | 'contrast'
+    accent: null, // '#rrggbb' replaces the theme's accent
+};
+
+// bounds for the free-form numbers
+export const LIMITS = {
+    durationSec: [5, 600],
+    wordTarget: [1, 1000],
+    fontSize: [24, 64],
+};
+
+const CHOICES = {
+    testMode: ['time', 'words'],
+    source: ['local', 'jisho'],
+    inputMode: ['romaji', 'kana', 'surface'],
+    theme: ['system', 'dark', 'light', 'contrast'],
+};
+
+/** Fill in defaults and drop anything malformed. */
+export function sanitizeSettings(input) {
+    const s = { ...DEFAULT_SETTINGS };
+    const src = input && typeof input === 'object' ? input : {};
+
+    for (const [key, options] of Object.entries(CHOICES)) {
+        if (options.includes(src[key])) s[key] = src[key];
+    }
+    for (const key of ['setId', 'scheme']) {
+        if (typeof src[key] === 'string' && src[key]) s[key] = src[key];
+    }
+    for (const key of ['showRomaji', 'showFurigana', 'showGhost', 'weightByFreq']) {
+        if (typeof src[key] === 'boolean') s[key] = src[key];
+    }
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+        const n = Math.round(Number(src[key]));
+        if (Number.isFinite(n) && src[key] !== null && src[key] !== '') s[key] = Math.min(max, Math.max(min, n));
+    }
+    if (src.wordTarget === null) s.wordTarget = null;
+    if (/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(src.accent ?? '')) s.accent = src.accent;
+    return s;
+}
+
+/** The saved settings, or the defaults when they can't be read (Practice must still start). */
+export async function loadSettings() {
+    return sanitizeSettings(await blob.read().catch(() => null));
+}
+
+/** Merge `patch` into the saved settings. Returns the full settings. */
+export async function saveSettings(patch) {
+    const settings = sanitizeSettings({ ...sanitizeSettings(await blob.read()), ...patch });
+    await blob.write(settings);
+    return settings;
+}
+
+export async function resetSettings() {
+    await blob.clear();
+    return { ...DEFAULT_SETTINGS };
+}
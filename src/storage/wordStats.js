@@ -0,0 +1,87 @@
+import { versionedBlob } from './blob';
+import { gradeWord, schedule, isDue, newCard, wordKey } from '../utils/srs';
+
+/**
+ * Per-word performance and review schedule, under 'jptyping:wordStats' (see ./blob.js):
+ *   { version: 1, words: { 'surface|reading': { surface, reading, seen, errors, kana, ms,
+ *                                               lastSeen, ease, interval, reps, lapses, due } } }
+ * `kana` / `ms` add up finished attempts only, so ms / kana is the time per kana.
+ * Writes are queued, so a read right after recordWords sees its result.
+ */
+export const WORD_STATS_VERSION = 1;
+
+// keep storage bounded; the longest-unseen words fall off
+const MAX_WORDS = 5000;
+
+const blob = versionedBlob('jptyping:wordStats', { version: WORD_STATS_VERSION, field: 'words', empty: () => ({}) });
+
+let queue = Promise.resolve();
+
+async function store(words) {
+    const entries = Object.entries(words);
+    const kept = entries.length > MAX_WORDS
+        ? Object.fromEntries(entries.sort((a, b) => b[1].lastSeen - a[1].lastSeen).slice(0, MAX_WORDS))
+        : words;
+    await blob.write(kept);
+}
+
+/** { 'surface|reading': stats } for every word practiced so far. Throws when they can't be read. */
+export function loadWordStats() {
+    return queue.then(blob.read);
+}
+
+/**
+ * Fold a run's per-word breakdown (the Results `wordStats`) into the stored
+ * stats and reschedule each word once: a word met several times in one run
+ * (drills repeat them) is graded by its worst attempt. Returns the updated map.
+ */
+export function recordWords(list, now = Date.now()) {
+    const run = queue.then(async () => {
+        const words = await blob.read();
+        const runs = new Map(); // key -> { word, grade, mistakes, kana, ms }
+        for (const w of list) {
+            if (!w?.reading) continue;
+            const key = wordKey(w);
+            const r = runs.get(key) ?? { word: w, grade: 5, mistakes: 0, kana: 0, ms: 0 };
+            r.grade = Math.min(r.grade, gradeWord(w));
+            r.mistakes += w.mistakes || 0;
+            if (w.finished) {
+                r.kana += [...w.reading].length;
+                r.ms += w.ms || 0;
+            }
+            runs.set(key, r);
+        }
+        for (const [key, r] of runs) {
+            const prev = words[key] ?? { surface: r.word.surface, reading: r.word.reading, seen: 0, errors: 0, kana: 0, ms: 0, ...newCard() };
+            words[key] = {
+                ...prev,
+                ...schedule(prev, r.grade, now),
+                seen: prev.seen + 1,
+                errors: prev.errors + r.mistakes,
+                kana: prev.kana + r.kana,
+                ms: prev.ms + r.ms,
+                lastSeen: now,
+            };
+        }
+        await store(words);
+        return words;
+    });
+    // a failed write must not block the ones after it
+    queue = run.catch(() => {});
+    return run;
+}
+
+/** { due, learned, total }: words due today, words whose last review passed, words tracked. */
+export async function reviewSummary(now = Date.now()) {
+    const cards = Object.values(await loadWordStats());
+    return {
+        due: cards.filter((c) => isDue(c, now)).length,
+        learned: cards.filter((c) => c.reps > 0).length,
+        total: cards.length,
+    };
+}
+
+export async function clearWordStats() {
+    queue = queue.then(blob.clear).catch(() => {});
+    await queue;
+}
@@ -0,0 +1,62 @@
+import { hashSeed } from './random';
+import { LIMITS } from '../storage/settings';
+
+/**
+ * Challenge codes: everything needed to type the exact same run somewhere else.
+ *
+ *   'N5.w25.1x2k9f'          set N5, 25 words, seed 1x2k9f (base 36)
+ *   'N4?pos=verb.t30.zz01'   set view N4 verbs, 30 seconds
+ *   'N5-sentences.w.9a'      unlimited words
+ *
+ * A challenge is { setId, mode: 'time' | 'words', length, seed }: `length` is
+ * seconds or a word count (null = unlimited). The words come from the local
+ * set, in the order a seeded shuffle gives them.
+ */
+const MAX_SEED = 4294967295;
+
+// the daily challenge: fixed so every device gets the same words on the same day
+const DAILY = { setId: 'N5', mode: 'words', length: 25 };
+
+export function encodeChallenge({ setId, mode, length, seed }) {
+    const len = mode === 'time' ? `t${length}` : `w${Number.isFinite(length) ? length : ''}`;
+    return [setId, len, (seed >>> 0).toString(36)].join('.');
+}
+
+/**
+ * The challenge in a code, or null when it isn't one. Set ids may contain dots, so parse from the right.
+ * Lengths outside the settings' LIMITS are rejected rather than clamped: a clamped code would be a different run.
+ */
+export function decodeChallenge(code) {
+    const parts = String(code ?? '').trim().split('.');
+    if (parts.length < 3) return null;
+    const seedPart = parts.pop().toLowerCase();
+    const lenPart = parts.pop().toLowerCase();
+    const setId = parts.join('.');
+
+    const len = /^([tw])(\d*)$/.exec(lenPart);
+    if (!setId || !len || !/^[0-9a-z]{1,7}$/.test(seedPart)) return null;
+    const seed = parseInt(seedPart, 36);
+    if (seed > MAX_SEED) return null;
+
+    const mode = len[1] === 't' ? 'time' : 'words';
+    const length = len[2] ? Number(len[2]) : null;
+    if (mode === 'time' && length == null) return null;
+    const [min, max] = LIMITS[mode === 'time' ? 'durationSec' : 'wordTarget'];
+    if (length != null && (length < min || length > max)) return null;
+    return { setId, mode, length, seed };
+}
+
+/** 'YYYY-MM-DD' in UTC, so the whole team shares a day whatever their timezone. */
+export const dayKey = (now = Date.now()) => new Date(now).toISOString().slice(0, 10);
+
+/** Today's challenge: the same set and length every day, seeded by the date. */
+export function dailyChallenge(now = Date.now()) {
+    const date = dayKey(now);
+    return { ...DAILY, seed: hashSeed(`daily:${date}`), date };
+}
+
+/** '25 words' / '30s' / '∞ words' */
+export function lengthLabel({ mode, length }) {
+    if (mode === 'time') return `${length}s`;
+    return `${length ?? '∞'} words`;
+}
@@ -0,0 +1,22 @@
+import { Alert, Platform } from 'react-native';
+
+/**
+ * Ask before something destructive; resolves true when confirmed.
+ * react-native-web's Alert.alert does nothing, so the web build asks with window.confirm.
+ */
+export function confirmAction(title, message = '', confirmText = 'delete') {
+    if (Platform.OS === 'web') {
+        return Promise.resolve(window.confirm(message ? `${title}\n\n${message}` : title));
+    }
+    return new Promise((resolve) => {
+        Alert.alert(
+            title,
+            message,
+            [
+                { text: 'cancel', style: 'cancel', onPress: () => resolve(false) },
+                { text: confirmText, style: 'destructive', onPress: () => resolve(true) },
+            ],
+            { cancelable: true, onDismiss: () => resolve(false) }
+        );
+    });
+}
@@ -0,0 +1,55 @@
+/**
+ * Matching for text typed on a Japanese keyboard (flick, 12-key, or a
+ * romaji keyboard with the OS IME), where the app sees kana and kanji
+ * rather than keystrokes.
+ *
+ * Same shape as `imeCheck`, so the practice screen can treat both alike:
+ *  - ok:       the text can still become the target
+ *  - matched:  how many reading chars are done
+ *  - complete: the word is finished
+ *
+ * Modes:
+ *  - 'kana':    the reading must be typed; committing the surface
+ *               (e.g. picking 学校 from the candidates) also counts
+ *  - 'surface': the surface (kanji form) must be committed; kana that is
+ *               still being composed shows as progress but doesn't finish
+ */
+import { toHiragana } from './romanize';
+
+// Latin letters the OS IME hasn't turned into kana yet (が + k while composing きゃ)
+const COMPOSING_TAIL = /[a-zA-Z']+$/;
+
+const lcp = (a, b) => {
+    const n = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < n && a[i] === b[i]) i++;
+    return i;
+};
+
+export function checkDirect(text, word, mode = 'kana') {
+    const surface = word?.surface || '';
+    const reading = toHiragana(word?.reading || '');
+    const t = text || '';
+    const kana = toHiragana(t.replace(COMPOSING_TAIL, ''));
+
+    if (t === surface && surface) return { ok: true, matched: reading.length, complete: true };
+    if (mode === 'kana' && kana === reading && reading && kana === toHiragana(t)) {
+        return { ok: true, matched: reading.length, complete: true };
+    }
+
+    // still composing the reading
+    if (reading.startsWith(kana)) {
+        return { ok: true, matched: kana.length, complete: false };
+    }
+
+    // part of the surface committed already (学 + こう): credit it proportionally
+    const p = lcp(t, surface);
+    if (p > 0) {
+        const done = Math.floor((p / surface.length) * reading.length);
+        const restKana = toHiragana(t.slice(p).replace(COMPOSING_TAIL, ''));
+        const ok = p === t.length || reading.slice(done).startsWith(restKana);
+        return { ok, matched: ok ? done + restKana.length : done, complete: false };
+    }
+
+    return { ok: false, matched: lcp(kana, reading), complete: false };
+}
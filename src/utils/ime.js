@@ -0,0 +1,203 @@
+/**
+ * Keystroke-driven romaji IME.
+ *
+ * Unlike `romajiToHiragana` (which reconverts a whole string), this keeps a
+ * pending-romaji buffer and only commits kana once a syllable is unambiguous:
+ *
+ *   let st = imeInit();
+ *   st = imeFeed(st, 'k', 'きょう');   // { kana: '',   pending: 'k'  }
+ *   st = imeFeed(st, 'y', 'きょう');   // { kana: '',   pending: 'ky' }
+ *   st = imeFeed(st, 'o', 'きょう');   // { kana: 'きょ', pending: ''  }
+ *   imeCheck(st, 'きょう').ok          // true
+ *
+ * When a target reading is passed, ambiguous input resolves toward it:
+ *  - `nn` before a な-row kana (どんな = donna or donnna)
+ *  - vowel + `ny` + vowel (きんよう = kinyou, but こにゃく = konyaku)
+ *
+ * The state also names its romanization scheme (see romanize.js): keys outside
+ * the scheme's table can't reach the target, so a Hepburn run rejects `si`.
+ *
+ * State is a plain object so it can live in React state; kana is always hiragana,
+ * use `matchScript` from romanize.js to display it in the target's script.
+ */
+import { DEFAULT_SCHEME, getScheme, isVowel, isLetter, toHiragana } from './romanize';
+
+// per compiled scheme: every proper prefix of a key (these buffers wait for more keys)
+// and every key a typist could usefully press
+const lookups = new WeakMap();
+function lookupsFor(scheme) {
+    let l = lookups.get(scheme);
+    if (!l) {
+        const keys = Object.keys(scheme.table);
+        const prefixes = new Set();
+        for (const key of keys) {
+            for (let len = 1; len < key.length; len++) prefixes.add(key.slice(0, len));
+        }
+        l = { prefixes, alphabet: [...new Set([...keys.join(''), "'"])] };
+        lookups.set(scheme, l);
+    }
+    return l;
+}
+
+// how many keys ahead `imeCheck` looks for a way to reach the target
+const LOOKAHEAD = 4;
+
+const NA_ROW = new Set(['な', 'に', 'ぬ', 'ね', 'の']);
+
+export function imeInit(scheme = DEFAULT_SCHEME) {
+    return { kana: '', pending: '', prev: '', scheme };
+}
+
+/**
+ * Feed one key. Returns the next state; the input state is not modified.
+ * `target` (reading, any script) is optional and only steers ambiguous input.
+ */
+export function imeFeed(state, key, target) {
+    const goal = target == null ? null : toHiragana(target);
+    const scheme = getScheme(state.scheme);
+    const { table } = scheme;
+    const { prefixes } = lookupsFor(scheme);
+
+    let kana = state.kana;
+    let prev = state.prev;
+    let buf = state.pending + String(key).toLowerCase();
+
+    // what the target still expects after what we committed (null = no target / off track)
+    const rest = () => (goal != null && goal.startsWith(kana) ? goal.slice(kana.length) : null);
+
+    while (buf) {
+        const c1 = buf[0];
+        const c2 = buf[1] || '';
+        const c3 = buf[2] || '';
+
+        // --- explicit n' (straight or curly) ---
+        if (c1 === 'n' && (c2 === "'" || c2 === '’')) {
+            kana += 'ん';
+            prev = c2;
+            buf = buf.slice(2);
+            continue;
+        }
+
+        // --- `nn` where the target wants ん + な-row: the second n may start the next syllable ---
+        if (c1 === 'n' && c2 === 'n') {
+            const r = rest();
+            if (r && r[0] === 'ん' && NA_ROW.has(r[1])) {
+                if (!c3) break;
+                kana += 'ん';
+                prev = 'n';
+                buf = buf.slice(isVowel(c3) || c3 === 'y' ? 1 : 2);
+                continue;
+            }
+        }
+
+        // --- vowel + 'n' + 'y' + vowel => ん + ya/yu/yo, unless the target wants にゃ/にゅ/にょ ---
+        if (c1 === 'n' && c2 === 'y' && isVowel(c3) && isVowel(prev)) {
+            const r = rest();
+            const nya = table[`ny${c3}`];
+            if (!(r && r.startsWith(nya))) {
+                kana += 'ん';
+                prev = 'n';
+                buf = buf.slice(1);
+                continue;
+            }
+        }
+
+        // --- sokuon っ for double consonants (except 'nn') ---
+        if (c1 === c2 && isLetter(c1) && !isVowel(c1) && c1 !== 'n') {
+            kana += 'っ';
+            prev = c1;
+            buf = buf.slice(1);
+            continue;
+        }
+
+        // --- `tch` spells っ + ch (schemes with ch only) ---
+        if (c1 === 't' && c2 === 'c' && table.chi) {
+            if (!c3) break;
+            if (c3 === 'h') {
+                kana += 'っ';
+                prev = c1;
+                buf = buf.slice(1);
+                continue;
+            }
+        }
+
+        // --- still a prefix of a longer key: wait (k, ky, sh, n, xts …) ---
+        if (prefixes.has(buf)) break;
+
+        // --- complete key ---
+        const hit = table[buf];
+        if (hit) {
+            kana += hit;
+            prev = buf[buf.length - 1];
+            buf = '';
+            continue;
+        }
+
+        // --- dead end: commit the longest key at the front (n + consonant => ん), else pass through ---
+        const [k, out] = longestKeyAt(table, buf);
+        kana += out;
+        prev = buf[k.length - 1];
+        buf = buf.slice(k.length);
+    }
+
+    return { kana, pending: buf, prev, scheme: state.scheme };
+}
+
+/** Feed a whole string, key by key. */
+export function imeFeedString(input, target, scheme = DEFAULT_SCHEME) {
+    let st = imeInit(scheme);
+    for (const ch of input || '') st = imeFeed(st, ch, target);
+    return st;
+}
+
+/**
+ * Kana for the state as if input ended now: a trailing `n` becomes ん,
+ * any other unfinished romaji is left as typed.
+ */
+export function imeFlush(state) {
+    const { table } = getScheme(state.scheme);
+    let kana = state.kana;
+    let buf = state.pending;
+    while (buf) {
+        const [k, out] = longestKeyAt(table, buf);
+        kana += out;
+        buf = buf.slice(k.length);
+    }
+    return kana;
+}
+
+/**
+ * Compare a state against a target reading.
+ *  - ok:       every key so far can still lead to the target
+ *  - matched:  how many target chars are already committed
+ *  - complete: the target is fully typed (a trailing `n` counts as ん)
+ */
+export function imeCheck(state, target) {
+    const goal = toHiragana(target || '');
+    const complete = goal.length > 0 && imeFlush(state) === goal;
+    if (!goal.startsWith(state.kana)) return { ok: false, matched: 0, complete: false };
+
+    const { alphabet } = lookupsFor(getScheme(state.scheme));
+    const ok = complete || !state.pending || canReach(state, target, goal, alphabet, LOOKAHEAD);
+    return { ok, matched: state.kana.length, complete };
+}
+
+// does some sequence of up to `depth` more keys commit the next target kana?
+function canReach(state, target, goal, alphabet, depth) {
+    for (const ch of alphabet) {
+        const next = imeFeed(state, ch, target);
+        if (!goal.startsWith(next.kana)) continue;
+        if (next.kana.length > state.kana.length) return true;
+        if (depth > 1 && next.pending !== state.pending && canReach(next, target, goal, alphabet, depth - 1)) return true;
+    }
+    return false;
+}
+
+// [consumed romaji, kana] for the longest table key at the start of `buf` (or one raw char)
+function longestKeyAt(table, buf) {
+    for (let len = buf.length; len > 0; len--) {
+        const k = buf.slice(0, len);
+        if (table[k]) return [k, table[k]];
+    }
+    return [buf[0], buf[0]];
+}
@@ -0,0 +1,40 @@
+/**
+ * Seeded randomness, so a word order can be reproduced from its seed.
+ * Seeds are unsigned 32-bit integers.
+ */
+
+/** Mulberry32: a small, fast PRNG. Returns () => float in [0, 1). */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/** A fresh seed for a run nobody asked to reproduce. */
+export const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+/** FNV-1a: a stable seed from a string ('daily:2025-01-31'). */
+export function hashSeed(str) {
+    let h = 0x811c9dc5;
+    for (const ch of String(str)) {
+        h ^= ch.codePointAt(0);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+/** A shuffled copy of `items` (Fisher–Yates); the same seed always gives the same order. */
+export function shuffle(items, seed) {
+    const rand = mulberry32(seed);
+    const arr = [...items];
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+}
@@ -3,82 +3,149 @@
  * Handles:
  *  - digraphs (kya/sha/cho/etc)
  *  - aliases (shi/si, chi/ti, tsu/tu, fu/hu, ji/zi/di)
- *  - sokuon っ for double consonants (kk, tta…)
+ *  - small kana (xa/la, xtu/ltu/xtsu, xya/lya …) and IME punctuation (, . - [ ] z/ …)
+ *  - sokuon っ for double consonants (kk, tta…) and `tch` (matcha)
  *  - syllabic ん rules, including the `n + y` disambiguation after a vowel (きんよう OK)
+ *  - the long-vowel mark ー (typed as `-`) and loanword combos (ti/fa/vu/wi …)
+ *
+ * Output is always hiragana; use `romajiToKana` to match the script of a target word.
+ *
+ * The key table comes from src/data/romanization.json. It holds the full
+ * Google / MS-IME table ("permissive") and schemes that narrow it down to one
+ * system (Hepburn, Kunrei), so a class can be drilled on `shi` and have `si`
+ * rejected. Doubled consonants, `n'` and the `nn` / `n + y` rules are typing
+ * mechanics and work the same in every scheme.
  */
+import ROMANIZATION from '../data/romanization.json';
 
-// includes common aliases (shi/si, chi/ti, tsu/tu, fu/hu, ji/zi/di, jya/ja …)
-const ROMAJI_TO_HIRA = {
-    // vowels
-    a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+export const DEFAULT_SCHEME = 'permissive';
 
-    // k
-    ka: 'か', ki: 'き', ku: 'く', ke: 'け', ko: 'こ',
-    kya: 'きゃ', kyu: 'きゅ', kyo: 'きょ',
+// keys longer than this would make the IME's lookahead too slow
+const MAX_KEY_LEN = 4;
+const KEY_CHARS = /^[a-z'’,.\-\[\]~/?!]+$/;
 
-    // g
-    ga: 'が', gi: 'ぎ', gu: 'ぐ', ge: 'げ', go: 'ご',
-    gya: 'ぎゃ', gyu: 'ぎゅ', gyo: 'ぎょ',
+// kana every scheme should be able to type; a custom table missing some is flagged
+const BASIC_KANA = [...'あいうえおかきくけこがぎぐげごさしすせそざじずぜぞたちつてとだぢづでどなにぬねのはひふへほばびぶべぼぱぴぷぺぽまみむめもやゆよらりるれろわをんぁぃぅぇぉゃゅょー'];
 
-    // s
-    sa: 'さ', shi: 'し', si: 'し', su: 'す', se: 'せ', so: 'そ',
-    sha: 'しゃ', shu: 'しゅ', sho: 'しょ',
+// compiled schemes by id (built-ins from romanization.json, plus 'custom' when set)
+const schemes = {};
 
-    // z/j
-    za: 'ざ', zi: 'じ', ji: 'じ', zu: 'ず', ze: 'ぜ', zo: 'ぞ',
-    ja: 'じゃ', jya: 'じゃ', ju: 'じゅ', jyu: 'じゅ', jo: 'じょ', jyo: 'じょ',
-
-    // t/ch/ts
-    ta: 'た', chi: 'ち', ti: 'ち', tsu: 'つ', tu: 'つ', te: 'て', to: 'と',
-    cha: 'ちゃ', chu: 'ちゅ', cho: 'ちょ',
-    tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
-
-    // d
-    da: 'だ', di: 'ぢ', du: 'づ', de: 'で', do: 'ど',
-    dya: 'ぢゃ', dyu: 'ぢゅ', dyo: 'ぢょ',
-
-    // n
-    na: 'な', ni: 'に', nu: 'ぬ', ne: 'ね', no: 'の',
-    nya: 'にゃ', nyu: 'にゅ', nyo: 'にょ',
+/**
+ * Build a scheme from its definition. A definition is either a full `table`
+ * (flat { romaji: kana }, or grouped like romanization.json) or a `base`
+ * scheme id with `exclude` (keys to drop) and `add` ({ romaji: kana }).
+ * Returns { id, label, description, custom, table, maxKeyLen, missing }
+ * where `missing` lists basic kana no key produces. Throws on malformed input.
+ */
+export function compileScheme(def, id = 'custom') {
+    if (!def || typeof def !== 'object') throw new Error('Scheme must be an object');
+
+    let table;
+    if (def.table) {
+        table = flattenTable(def.table);
+    } else {
+        const baseId = def.base || DEFAULT_SCHEME;
+        const base = baseId === id ? null : schemes[baseId];
+        if (!base) throw new Error(`Unknown base scheme: ${baseId}`);
+        table = { ...base.table };
+    }
+    for (const key of def.exclude || []) delete table[key];
+    Object.assign(table, def.add || {});
+
+    const keys = Object.keys(table);
+    if (!keys.length) throw new Error('Scheme has no keys');
+    for (const key of keys) {
+        if (!KEY_CHARS.test(key) || key.length > MAX_KEY_LEN) throw new Error(`Invalid key: ${key}`);
+        if (typeof table[key] !== 'string' || !table[key]) throw new Error(`Key ${key} has no kana`);
+    }
 
-    // h/f
-    ha: 'は', hi: 'ひ', fu: 'ふ', hu: 'ふ', he: 'へ', ho: 'ほ',
-    hya: 'ひゃ', hyu: 'ひゅ', hyo: 'ひょ',
+    const produced = new Set(Object.values(table).join(''));
+    return {
+        id,
+        label: String(def.label || id),
+        description: String(def.description || ''),
+        custom: id === 'custom',
+        table,
+        maxKeyLen: Math.max(...keys.map((k) => k.length)),
+        missing: BASIC_KANA.filter((ch) => !produced.has(ch)),
+    };
+}
 
-    // b
-    ba: 'ば', bi: 'び', bu: 'ぶ', be: 'べ', bo: 'ぼ',
-    bya: 'びゃ', byu: 'びゅ', byo: 'びょ',
+// romanization.json groups keys by row; schemes only need the flat map
+function flattenTable(table) {
+    const flat = {};
+    for (const [key, value] of Object.entries(table)) {
+        if (value && typeof value === 'object') Object.assign(flat, value);
+        else flat[key] = value;
+    }
+    return flat;
+}
 
-    // p
-    pa: 'ぱ', pi: 'ぴ', pu: 'ぷ', pe: 'ぺ', po: 'ぽ',
-    pya: 'ぴゃ', pyu: 'ぴゅ', pyo: 'ぴょ',
+// built-ins, in file order (a scheme's base has to come first)
+for (const [id, def] of Object.entries(ROMANIZATION.schemes)) {
+    schemes[id] = compileScheme(def.base ? def : { ...def, table: ROMANIZATION.table }, id);
+}
 
-    // m
-    ma: 'ま', mi: 'み', mu: 'む', me: 'め', mo: 'も',
-    mya: 'みゃ', myu: 'みゅ', myo: 'みょ',
+/** [{ id, label, description, custom }] for pickers; built-ins first. */
+export function listSchemes() {
+    return Object.values(schemes).map(({ id, label, description, custom }) => ({ id, label, description, custom }));
+}
 
-    // y
-    ya: 'や', yu: 'ゆ', yo: 'よ',
+/** Compiled scheme by id; unknown ids fall back to the permissive one. */
+export function getScheme(id = DEFAULT_SCHEME) {
+    return schemes[id] || schemes[DEFAULT_SCHEME];
+}
 
-    // r
-    ra: 'ら', ri: 'り', ru: 'る', re: 'れ', ro: 'ろ',
-    rya: 'りゃ', ryu: 'りゅ', ryo: 'りょ',
+/** Register (or with null, remove) the user-defined scheme. Returns it compiled. */
+export function setCustomScheme(def) {
+    if (!def) {
+        delete schemes.custom;
+        return null;
+    }
+    schemes.custom = compileScheme(def, 'custom');
+    return schemes.custom;
+}
 
-    // w
-    wa: 'わ', wi: 'うぃ', we: 'うぇ', wo: 'を',
+// helpers
+export const isVowel = (ch) => ch === 'a' || ch === 'i' || ch === 'u' || ch === 'e' || ch === 'o';
+export const isLetter = (ch) => ch >= 'a' && ch <= 'z';
 
-    // small vowels (rarely needed but safe)
-    xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ',
+// hiragana ぁ..ゖ and katakana ァ..ヶ sit exactly 0x60 apart
+const KANA_SHIFT = 0x60;
+const isHiraganaChar = (ch) => ch >= 'ぁ' && ch <= 'ゖ';
+const isKatakanaChar = (ch) => ch >= 'ァ' && ch <= 'ヶ';
 
-    // misc
-    n: "ん", nn: "ん", "n'": "ん", "n’": "ん" // allow n' (straight or curly)
+export function toKatakana(text) {
+    return [...(text || '')]
+        .map((ch) => (isHiraganaChar(ch) ? String.fromCharCode(ch.charCodeAt(0) + KANA_SHIFT) : ch))
+        .join('');
+}
 
-};
+export function toHiragana(text) {
+    return [...(text || '')]
+        .map((ch) => (isKatakanaChar(ch) ? String.fromCharCode(ch.charCodeAt(0) - KANA_SHIFT) : ch))
+        .join('');
+}
 
-// helper
-const isVowel = (ch) => ch === 'a' || ch === 'i' || ch === 'u' || ch === 'e' || ch === 'o';
+/**
+ * Re-script `kana` position by position so it matches `target`:
+ * wherever the target has katakana, the converted char becomes katakana.
+ * Chars past the end of the target follow the target's last kana.
+ */
+export function matchScript(kana, target) {
+    const t = [...(target || '')];
+    let lastKata = false;
+    return [...(kana || '')]
+        .map((ch, i) => {
+            const tc = t[i];
+            if (tc !== undefined && (isHiraganaChar(tc) || isKatakanaChar(tc))) lastKata = isKatakanaChar(tc);
+            return lastKata ? toKatakana(ch) : ch;
+        })
+        .join('');
+}
 
-export function romajiToHiragana(input) {
+export function romajiToHiragana(input, scheme = DEFAULT_SCHEME) {
+    const { table, maxKeyLen } = getScheme(scheme);
     const s = (input || '').toLowerCase();
 
     let out = '';
@@ -107,28 +174,34 @@ export function romajiToHiragana(input) {
         }
 
         // --- sokuon っ for double consonants (except 'nn') ---
-        if (i + 1 < s.length && s[i] === s[i + 1] && !isVowel(ch) && ch !== 'n') {
+        if (i + 1 < s.length && s[i] === s[i + 1] && isLetter(ch) && !isVowel(ch) && ch !== 'n') {
             out += 'っ';
             prevRaw = s[i];
             i += 1;
             continue;
         }
 
-        // --- try longest match first: 3 -> 2 -> 1 ---
-        const tri = ROMAJI_TO_HIRA[s.substr(i, 3)];
-        if (tri) {
-            out += tri;
-            prevRaw = s[i + 2];
-            i += 3;
+        // --- `tch` spells っ + ch (matcha -> まっちゃ), where the scheme has ch ---
+        if (ch === 't' && ch2 === 'c' && ch3 === 'h' && table.chi) {
+            out += 'っ';
+            prevRaw = ch;
+            i += 1;
             continue;
         }
-        const bi = ROMAJI_TO_HIRA[s.substr(i, 2)];
-        if (bi) {
-            out += bi;
-            prevRaw = s[i + 1];
-            i += 2;
-            continue;
+
+        // --- try longest match first: 4 -> 3 -> 2 (xtsu/ltsu are the only 4-letter built-in keys) ---
+        let matched = false;
+        for (let len = maxKeyLen; len >= 2; len--) {
+            const hit = table[s.substr(i, len)];
+            if (hit && i + len <= s.length) {
+                out += hit;
+                prevRaw = s[i + len - 1];
+                i += len;
+                matched = true;
+                break;
+            }
         }
+        if (matched) continue;
 
         // --- standalone 'n' as ん (when not followed by a vowel or y+vowel) ---
         if (ch === 'n') {
@@ -142,7 +215,7 @@ export function romajiToHiragana(input) {
             // else: let normal mapping handle 'na/ni/..' or 'nya/..'
         }
 
-        const uni = ROMAJI_TO_HIRA[ch];
+        const uni = table[ch];
         if (uni) {
             out += uni;
             prevRaw = ch;
@@ -158,3 +231,11 @@ export function romajiToHiragana(input) {
 
     return out;
 }
+
+/**
+ * Convert romaji -> kana in the script of `target` (hiragana, katakana or mixed).
+ * e.g. romajiToKana('ko-hi-', 'コーヒー') === 'コーヒー'
+ */
+export function romajiToKana(input, target, scheme = DEFAULT_SCHEME) {
+    return matchScript(romajiToHiragana(input, scheme), target);
+}
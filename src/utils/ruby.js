@@ -0,0 +1,67 @@
+/**
+ * Furigana alignment: split a word into groups with ruby over the kanji only.
+ *
+ *   alignRuby('食べる', 'たべる')     // [{ base: '食', ruby: 'た' }, { base: 'べる' }]
+ *   alignRuby('お茶', 'おちゃ')       // [{ base: 'お' }, { base: '茶', ruby: 'ちゃ' }]
+ *   alignRuby('大好き', 'だいすき')   // [{ base: '大好', ruby: 'だいす' }, { base: 'き' }]
+ *
+ * Runs of kana in the surface are matched literally against the reading, the
+ * kanji runs between them get whatever is left. A compound's reading can't be
+ * split per kanji without a dictionary, so each run of kanji is one group; set
+ * data can give an explicit `ruby` mapping for finer alignment.
+ */
+import { toHiragana } from './romanize';
+
+// kana, the long-vowel mark and punctuation never carry ruby
+const isKanaLike = (ch) => /[ぁ-ゖァ-ヺー・、。「」『』！？〜…‥\s]/.test(ch);
+
+/** [{ base, ruby? }] for `surface` read as `reading`; whole-word ruby when they don't line up. */
+export function alignRuby(surface, reading) {
+    const text = String(surface ?? '');
+    const kana = toHiragana(String(reading ?? ''));
+    if (!text) return [];
+
+    const runs = splitRuns(text);
+    if (runs.every((r) => r.kana)) return [{ base: text }];
+    if (!kana) return [{ base: text }];
+
+    // kana runs literal, kanji runs lazy: 食べる -> ^(.+?)べる$
+    const pattern = runs.map((r) => (r.kana ? escape(toHiragana(r.text)) : '(.+?)')).join('');
+    const m = kana.match(new RegExp(`^${pattern}$`));
+    if (!m) return [{ base: text, ruby: reading }];
+
+    let g = 1;
+    return runs.map((r) => (r.kana ? { base: r.text } : { base: r.text, ruby: m[g++] }));
+}
+
+/**
+ * An explicit ruby mapping if it spells `surface`, else the automatic one.
+ * `ruby` is the set data's optional [{ base, ruby? }].
+ */
+export function rubyFor(surface, reading, ruby) {
+    if (isValidRuby(ruby, surface)) return ruby.map(({ base, ruby: r }) => (r ? { base, ruby: r } : { base }));
+    return alignRuby(surface, reading);
+}
+
+/** Do the groups' bases join up to `surface`? */
+export function isValidRuby(ruby, surface) {
+    return Array.isArray(ruby)
+        && ruby.length > 0
+        && ruby.every((g) => g && typeof g.base === 'string' && g.base)
+        && ruby.map((g) => g.base).join('') === surface;
+}
+
+function splitRuns(text) {
+    const runs = [];
+    for (const ch of text) {
+        const kana = isKanaLike(ch);
+        const last = runs[runs.length - 1];
+        if (last && last.kana === kana) last.text += ch;
+        else runs.push({ text: ch, kana });
+    }
+    return runs;
+}
+
+function escape(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,215 @@
+/**
+ * Kana -> romaji: every spelling the IME accepts for a reading, plus typing hints.
+ *
+ *   romajiSpellings('しゃしん')  // ['shasin', 'syasin', …, 'shashin', …]
+ *   romajiSpellings('きんよう')  // ['kinyou', 'kinnyou', "kin'you", …]
+ *   romajiHint('しゃしん', 'sya', style)  // 'syasin' (keeps the typist's spelling)
+ *
+ * Spellings are generated from the same table the IME uses and each one is
+ * verified by feeding it through the engine, so the two can't disagree.
+ * Every function takes an optional romanization scheme id (default: permissive);
+ * under a strict scheme only that system's spellings are suggested.
+ */
+import { DEFAULT_SCHEME, getScheme, toHiragana, isVowel } from './romanize';
+import { imeInit, imeFeed, imeFeedString, imeCheck } from './ime';
+
+// IME-only aliases (ca/qu/wu/xtu …): accepted, but suggested last
+const isExotic = (key) => /^(c[^h]|q|x|l|wh?u$|yi$)/.test(key);
+
+// per compiled scheme, kana unit -> romaji keys: common before exotic, then shortest first
+// (ties keep table order)
+const reverseTables = new WeakMap();
+function kanaToKeys(schemeId) {
+    const scheme = getScheme(schemeId);
+    let map = reverseTables.get(scheme);
+    if (!map) {
+        map = {};
+        for (const [key, kana] of Object.entries(scheme.table)) {
+            if (key.includes('’')) continue; // curly n’ is accepted, never suggested
+            (map[kana] ||= []).push(key);
+        }
+        for (const keys of Object.values(map)) {
+            keys.sort((a, b) => isExotic(a) - isExotic(b) || a.length - b.length);
+        }
+        reverseTables.set(scheme, map);
+    }
+    return map;
+}
+
+const SMALL = new Set(['ぁ', 'ぃ', 'ぅ', 'ぇ', 'ぉ', 'ゃ', 'ゅ', 'ょ', 'ゎ']);
+const N_NEEDS_DOUBLE = new Set(['あ', 'い', 'う', 'え', 'お', 'や', 'ゆ', 'よ', 'ん']);
+
+// how many raw candidates to generate before verifying and sorting
+const ENUM_CAP = 400;
+
+// spellings that give away which system a typist uses
+export const STYLES = {
+    hepburn: {
+        'し': 'shi', 'ち': 'chi', 'つ': 'tsu', 'ふ': 'fu', 'じ': 'ji',
+        'しゃ': 'sha', 'しゅ': 'shu', 'しぇ': 'she', 'しょ': 'sho',
+        'ちゃ': 'cha', 'ちゅ': 'chu', 'ちぇ': 'che', 'ちょ': 'cho',
+        'じゃ': 'ja', 'じゅ': 'ju', 'じぇ': 'je', 'じょ': 'jo',
+    },
+    kunrei: {
+        'し': 'si', 'ち': 'ti', 'つ': 'tu', 'ふ': 'hu', 'じ': 'zi',
+        'しゃ': 'sya', 'しゅ': 'syu', 'しぇ': 'sye', 'しょ': 'syo',
+        'ちゃ': 'tya', 'ちゅ': 'tyu', 'ちぇ': 'tye', 'ちょ': 'tyo',
+        'じゃ': 'zya', 'じゅ': 'zyu', 'じぇ': 'zye', 'じょ': 'zyo',
+    },
+};
+
+/** Empty typing style: { system: 'hepburn' | 'kunrei' | null, keys: { kana: romaji } } */
+export function initStyle() {
+    return { system: null, keys: {} };
+}
+
+// [key, kana length, off-style] choices for the unit starting at r[i], most preferred first
+function options(r, i, style, keysFor) {
+    const c = r[i];
+    const out = [];
+
+    if (c === 'っ' && i + 1 < r.length) {
+        // double the next consonant (kk, tt, tch …)
+        for (const [k, len, off] of options(r, i + 1, style, keysFor)) {
+            if (k.startsWith('ch')) out.push([`t${k}`, len + 1, off]);
+            if (/^[a-z]/.test(k) && !isVowel(k[0]) && k[0] !== 'n') out.push([k[0] + k, len + 1, off]);
+        }
+    }
+
+    if (c === 'ん') {
+        const next = r[i + 1];
+        // a final ん is done at its first `n` (see imeCheck), so `nn` / `n'` would spill into the next word
+        const keys = next === undefined
+            ? ['n', 'xn']
+            : !N_NEEDS_DOUBLE.has(next) ? ['n', 'nn', "n'", 'xn'] : ['nn', "n'", 'xn', 'n'];
+        for (const k of keys.filter((key) => keysFor['ん']?.includes(key))) out.push([k, 1]);
+        return prefer(out, 'ん', style);
+    }
+
+    const pair = r.slice(i, i + 2);
+    if (pair.length === 2 && keysFor[pair]) {
+        for (const k of prefer(keysFor[pair].map((key) => [key, 2]), pair, style)) out.push(k);
+    }
+    const single = keysFor[c];
+    if (single && !(keysFor[pair] && SMALL.has(r[i + 1]))) {
+        for (const k of prefer(single.map((key) => [key, 1]), c, style)) out.push(k);
+    }
+    return out;
+}
+
+// move the style's spelling for `kana` (if any) to the front; the others are marked off-style
+function prefer(opts, kana, style) {
+    const want = style?.keys?.[kana] ?? STYLES[style?.system]?.[kana];
+    if (!want || !opts.some(([k]) => k === want)) return opts.map(([k, len]) => [k, len, 0]);
+    return [
+        ...opts.filter(([k]) => k === want).map(([k, len]) => [k, len, 0]),
+        ...opts.filter(([k]) => k !== want).map(([k, len]) => [k, len, 1]),
+    ];
+}
+
+// [spelling, number of exotic keys in it, number of units spelled against the style]
+function enumerate(r, style, keysFor, cap) {
+    const out = [];
+    const walk = (i, acc, exotic, off) => {
+        if (out.length >= cap) return;
+        if (i >= r.length) {
+            out.push([acc, exotic, off]);
+            return;
+        }
+        for (const [k, len, o] of options(r, i, style, keysFor)) walk(i + len, acc + k, exotic + isExotic(k), off + o);
+    };
+    walk(0, '', 0, 0);
+    return out;
+}
+
+const spells = (romaji, reading, scheme) => imeCheck(imeFeedString(romaji, reading, scheme), reading).complete;
+
+// verified spellings in enumeration order: the style's keys, else the shortest key per unit
+function candidates(reading, style, scheme) {
+    const r = toHiragana(reading || '');
+    if (!r) return [];
+    const seen = new Set();
+    return enumerate(r, style, kanaToKeys(scheme), ENUM_CAP).filter(([s]) => {
+        if (seen.has(s) || !spells(s, r, scheme)) return false;
+        seen.add(s);
+        return true;
+    });
+}
+
+// what to suggest first: the typist's style, then the fewest keys, then common before exotic
+// (per-unit order alone isn't enough: ん before y is 'nn' on its own but 'n' in きんよう)
+const bySuggestion = ([a, ea, oa], [b, eb, ob]) => oa - ob || a.length - b.length || ea - eb;
+
+/**
+ * Every romaji spelling the IME accepts for `reading`, shortest first
+ * (ties: the typist's style, then common before exotic). Returns [] if the
+ * reading has characters that can't be typed as romaji (kanji, Latin …).
+ */
+export function romajiSpellings(reading, { limit = 50, style = null, scheme = DEFAULT_SCHEME } = {}) {
+    return candidates(reading, style, scheme)
+        .sort(([a, ea], [b, eb]) => a.length - b.length || ea - eb)
+        .slice(0, limit)
+        .map(([s]) => s);
+}
+
+/**
+ * The spelling to suggest: shortest key for each kana, except where the
+ * typist's style says otherwise (ち stays `chi` for a Hepburn typist).
+ * '' if the reading can't be typed.
+ */
+export function shortestRomaji(reading, style = null, scheme = DEFAULT_SCHEME) {
+    return candidates(reading, style, scheme).sort(bySuggestion)[0]?.[0] ?? '';
+}
+
+/**
+ * Hint for a word in progress: the keys typed so far (`raw`) followed by the
+ * shortest way to finish, continuing whatever spelling the typist started.
+ */
+export function romajiHint(reading, raw = '', style = null, scheme = DEFAULT_SCHEME) {
+    const st = imeFeedString(raw, reading, scheme);
+    if (!raw || !imeCheck(st, reading).ok) return shortestRomaji(reading, style, scheme);
+
+    const done = raw.slice(0, raw.length - st.pending.length);
+    const rest = toHiragana(reading).slice(st.kana.length);
+    if (!rest) return raw;
+
+    const finish = candidates(rest, learnStyle(style, done, reading, scheme), scheme)
+        .sort(bySuggestion)
+        .map(([s]) => s)
+        .filter((s) => s.startsWith(st.pending))
+        .find((s) => imeCheck(feedAll(st, s.slice(st.pending.length), reading), reading).complete);
+    return finish ? done + finish : raw;
+}
+
+/**
+ * Learn spelling preferences from a finished word: which key sequence produced
+ * each kana unit, and whether those sequences are Hepburn or Kunrei.
+ */
+export function learnStyle(style, raw, reading, scheme = DEFAULT_SCHEME) {
+    const keysFor = kanaToKeys(scheme);
+    const next = { system: style?.system ?? null, keys: { ...(style?.keys || {}) } };
+    let st = imeInit(scheme);
+    let keys = '';
+    for (const ch of raw || '') {
+        const before = st.kana;
+        st = imeFeed(st, ch, reading);
+        keys += ch;
+        if (st.kana === before) continue;
+
+        const unit = st.kana.slice(before.length);
+        const typed = keys.slice(0, keys.length - st.pending.length).toLowerCase();
+        keys = st.pending;
+        if (!keysFor[unit]?.includes(typed)) continue;
+
+        next.keys[unit] = typed;
+        if (STYLES.hepburn[unit] === typed && STYLES.kunrei[unit] !== typed) next.system = 'hepburn';
+        if (STYLES.kunrei[unit] === typed && STYLES.hepburn[unit] !== typed) next.system = 'kunrei';
+    }
+    return next;
+}
+
+function feedAll(state, keys, target) {
+    let st = state;
+    for (const ch of keys) st = imeFeed(st, ch, target);
+    return st;
+}
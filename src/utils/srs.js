@@ -0,0 +1,89 @@
+/**
+ * Spaced repetition (SM-2) for typed words.
+ *
+ * A card is { ease, interval, reps, lapses, due }: `interval` in days, `due` a
+ * timestamp. Each time a word is typed it gets a quality grade 0–5 from how it
+ * went (finished? mistakes? hint? speed?) and SM-2 moves its due date:
+ *  - grade < 3: the word lapses, reps start over and it's due again shortly
+ *  - grade ≥ 3: 1 day, then 6 days, then the last interval × ease
+ * and the ease drifts up for easy words and down (to 1.3 at least) for hard ones.
+ */
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const START_EASE = 2.5;
+const MIN_EASE = 1.3;
+// a lapsed word comes back within the same session day
+const LAPSE_DELAY_MS = 10 * 60 * 1000;
+// clean and at least this fast per kana counts as "perfect"
+const FAST_MS_PER_KANA = 600;
+
+export const NEW_PER_SESSION = 10;
+
+export const newCard = () => ({ ease: START_EASE, interval: 0, reps: 0, lapses: 0, due: 0 });
+
+/** Quality 0–5 for one word of a run: { finished, mistakes, ms, reading, hinted } */
+export function gradeWord({ finished, mistakes = 0, ms = 0, reading = '', hinted = false }) {
+    if (!finished) return 0;
+    if (mistakes >= 3) return 1;
+    if (mistakes === 2 || hinted) return 2;
+    if (mistakes === 1) return 3;
+    const perKana = ms / Math.max(1, [...reading].length);
+    return perKana <= FAST_MS_PER_KANA ? 5 : 4;
+}
+
+/** The card after a review of quality `q` at `now`. */
+export function schedule(card, q, now = Date.now()) {
+    const c = { ...newCard(), ...card };
+    const ease = Math.max(MIN_EASE, c.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+    if (q < 3) {
+        return { ease, interval: 0, reps: 0, lapses: c.lapses + 1, due: now + LAPSE_DELAY_MS };
+    }
+    const interval = c.reps === 0 ? 1 : c.reps === 1 ? 6 : Math.round(c.interval * c.ease);
+    return { ease, interval, reps: c.reps + 1, lapses: c.lapses, due: now + interval * DAY_MS };
+}
+
+/** Local midnight after `now`: anything due before it is due today. */
+export function endOfDay(now = Date.now()) {
+    const d = new Date(now);
+    d.setHours(24, 0, 0, 0);
+    return d.getTime();
+}
+
+export const isDue = (card, now = Date.now()) => Boolean(card) && card.due < endOfDay(now);
+
+/**
+ * Order a set's items for a review session: due words first (most overdue
+ * first), with up to `newLimit` unseen words mixed in (most frequent first),
+ * then the rest by how soon they come due, so a timed run never runs dry.
+ * `cards` maps wordKey(item) -> card.
+ */
+export function reviewQueue(items, cards, { now = Date.now(), newLimit = NEW_PER_SESSION } = {}) {
+    const due = [];
+    const fresh = [];
+    const ahead = [];
+    for (const it of items) {
+        const card = cards[wordKey(it)];
+        if (!card) fresh.push(it);
+        else if (isDue(card, now)) due.push([it, card]);
+        else ahead.push([it, card]);
+    }
+    const byDue = (a, b) => a[1].due - b[1].due || a[1].ease - b[1].ease;
+    const byFreq = (a, b) => (a.freq ?? Infinity) - (b.freq ?? Infinity);
+
+    const dueItems = due.sort(byDue).map(([it]) => it);
+    const unseen = fresh.sort(byFreq);
+    const newItems = unseen.slice(0, newLimit);
+
+    // one new word after every two due ones, leftovers at the end
+    const mixed = [];
+    let n = 0;
+    dueItems.forEach((it, i) => {
+        mixed.push(it);
+        if (i % 2 === 1 && n < newItems.length) mixed.push(newItems[n++]);
+    });
+    mixed.push(...newItems.slice(n));
+
+    return [...mixed, ...ahead.sort(byDue).map(([it]) => it), ...unseen.slice(newLimit)];
+}
+
+export const wordKey = (w) => `${w.surface}|${w.reading}`;
@@ -0,0 +1,34 @@
+/**
+ * Run statistics, shared by the live readout and the Results screen.
+ *
+ * inputs:
+ *  - kana:       reading chars typed correctly (no phantom gap between words)
+ *  - keystrokes: every key / edit the typist made, rejected ones included
+ *  - errors:     keys that could not lead to the target
+ *  - ms:         time spent typing
+ *
+ * Kana per minute is the headline speed: a kana is a whole syllable, and
+ * Japanese words have no set length. WPM keeps the typing-test convention of
+ * a five-character "word", counted in kana here, so it reads lower than a Latin
+ * WPM for the same effort. Net deducts each error (one kana, or one word for
+ * WPM); the gap between words is never counted.
+ * Keystrokes-per-kana shows the romaji overhead (~2 keys per kana).
+ */
+export const KANA_PER_WORD = 5;
+
+// clamp to at least 1s to avoid insane spikes from ~0 minutes
+const MIN_MINUTES = 1 / 60;
+
+export function computeStats({ kana = 0, keystrokes = 0, errors = 0, ms = 0 } = {}) {
+    const minutes = Math.max(MIN_MINUTES, ms / 60000);
+    const rawWpm = (kana / KANA_PER_WORD) / minutes;
+    return {
+        rawWpm: Math.round(rawWpm),
+        netWpm: Math.round(Math.max(0, rawWpm - errors / minutes)),
+        rawKpm: Math.round(kana / minutes),
+        netKpm: Math.round(Math.max(0, kana - errors) / minutes),
+        accuracy: keystrokes > 0 ? Math.round((Math.max(0, keystrokes - errors) / keystrokes) * 100) : 100,
+        keysPerMinute: Math.round(keystrokes / minutes),
+        keysPerKana: kana > 0 ? Math.round((keystrokes / kana) * 100) / 100 : 0,
+    };
+}
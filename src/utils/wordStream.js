@@ -0,0 +1,88 @@
+import { hashSeed, mulberry32, shuffle } from './random';
+import { wordKey } from './srs';
+
+/**
+ * An endless supply of words from a pool, for ∞ word runs and time runs on small sets.
+ *
+ * Plain: the pool is shuffled and handed out, then reshuffled for the next pass;
+ * the first pass follows shuffle(pool, seed), later ones are seeded from it.
+ * Weighted: every word is drawn at random, common words (low `freq` rank) more often.
+ * Either way the same word never comes twice in a row (unless it's all the pool has),
+ * and words added later (a Jisho prefetch) are served before the pool comes round again.
+ *
+ *   const stream = createWordStream(items, { seed });
+ *   stream.take(20)     // the next 20 words
+ *   stream.add(more)    // new words join the pool
+ *   stream.unseen()     // words in the pool not handed out yet
+ */
+export function createWordStream(pool, { seed = 0, weighted = false, after = null } = {}) {
+    const items = [...pool]; // may repeat words on purpose (drills)
+    const keys = new Set(items.map(wordKey));
+    const seen = new Set();
+    const fresh = []; // added since the start, not handed out yet
+    let queue = []; // the rest of the current pass
+    let pass = 0;
+    let last = after ? wordKey(after) : null;
+    const rand = mulberry32(hashSeed(`stream:${seed}`));
+
+    // take the first word in `list` that isn't the one just handed out
+    const pickFrom = (list) => {
+        const i = list.findIndex((w) => wordKey(w) !== last);
+        return i < 0 ? null : list.splice(i, 1)[0];
+    };
+
+    const nextPass = () => {
+        queue = [...queue, ...shuffle(items, pass === 0 ? seed : hashSeed(`${seed}:${pass}`))];
+        pass += 1;
+    };
+
+    // weight ∝ 1/√rank; unranked words count as middling
+    const unranked = items.length / 2 + 1;
+    const weightOf = (w) => 1 / Math.sqrt(Number.isFinite(w.freq) && w.freq > 0 ? w.freq : unranked);
+    const draw = () => {
+        const options = items.length > 1 ? items.filter((w) => wordKey(w) !== last) : items;
+        let r = rand() * options.reduce((sum, w) => sum + weightOf(w), 0);
+        for (const w of options) {
+            r -= weightOf(w);
+            if (r <= 0) return w;
+        }
+        return options[options.length - 1];
+    };
+
+    const next = () => {
+        if (!items.length) return null;
+        let w = pickFrom(fresh);
+        if (!w && weighted) w = draw();
+        if (!w) {
+            if (!queue.length) nextPass();
+            w = pickFrom(queue);
+            // only repeats of the last word left in this pass: go on into the next one
+            if (!w && keys.size > 1) {
+                nextPass();
+                w = pickFrom(queue);
+            }
+            w = w ?? queue.shift();
+        }
+        last = wordKey(w);
+        seen.add(last);
+        return w;
+    };
+
+    return {
+        take: (n) => Array.from({ length: n }, next).filter(Boolean),
+        // words already in the pool are skipped; returns how many were new
+        add: (list) => {
+            let added = 0;
+            for (const w of list ?? []) {
+                const key = wordKey(w);
+                if (!w?.reading || keys.has(key)) continue;
+                keys.add(key);
+                items.push(w);
+                fresh.push(w);
+                added += 1;
+            }
+            return added;
+        },
+        unseen: () => keys.size - seen.size,
+    };
+}